@@ -0,0 +1,55 @@
+// achievements.js - Huy hiệu thành tích: các luật được kiểm tra sau mỗi lượt chơi đã được server xác nhận
+const analytics = require('./analytics');
+
+/**
+ * Rules are checked after every finished game the server verified (leaderboard/scores).
+ * `check({ stats, streaks, game })` gets the user's stats, their streaks from the verified part
+ * of the progress history (games and answers the server checked) and the game event that just ended.
+ * `perSubject` rules unlock once for every subject (the game's subject is stored with the badge).
+ * Names and icons live in the client (ACHIEVEMENTS in index.html), keep the ids in sync.
+ */
+const RULES = [
+    { id: 'correct_streak_10', check: ({ streaks }) => streaks.longestCorrect >= 10 },
+    // Lives and exam games can be won with wrong answers, a perfect game has none
+    { id: 'perfect_game', check: ({ game }) => Boolean(game && game.won && game.hintsUsed === 0 && game.correctAnswers === game.questionsAnswered) },
+    { id: 'first_win', perSubject: true, check: ({ game }) => Boolean(game && game.won) },
+    // Only a game without wrong answers counts (other modes than classic go on after one)
+    { id: 'pipes_50', check: ({ game }) => Boolean(game && game.pipes >= 50 && game.correctAnswers === game.questionsAnswered) },
+    { id: 'day_streak_7', check: ({ streaks }) => streaks.longestDays >= 7 }
+];
+
+function hasBadge(list, id, subject) {
+    return list.some(a => a.id === id && a.subject === subject);
+}
+
+/**
+ * Unlock every badge whose rule now passes (caller saves).
+ * Returns the badges unlocked by this call, for the client to announce.
+ */
+function evaluate(user, game = null) {
+    const stats = user.stats;
+    if (!Array.isArray(stats.achievements)) stats.achievements = [];
+
+    const context = { stats, streaks: analytics.getStreaks(user.id, { verifiedOnly: true }), game };
+    const unlocked = [];
+
+    for (const rule of RULES) {
+        const subject = rule.perSubject ? (game && game.subject) || null : null;
+        if (rule.perSubject && !subject) continue;
+        if (hasBadge(stats.achievements, rule.id, subject) || !rule.check(context)) continue;
+
+        const badge = { id: rule.id, subject: subject, unlockedAt: new Date().toISOString() };
+        stats.achievements.push(badge);
+        unlocked.push(badge);
+    }
+
+    if (unlocked.length > 0) {
+        console.log(`🏅 ${user.username} unlocked ${unlocked.map(a => a.subject ? `${a.id} (${a.subject})` : a.id).join(', ')}`);
+    }
+    return unlocked;
+}
+
+module.exports = {
+    RULES,
+    evaluate
+};
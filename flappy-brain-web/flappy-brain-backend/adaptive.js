@@ -0,0 +1,122 @@
+// adaptive.js - Ôn tập ngắt quãng (hộp Leitner) và điều chỉnh độ khó theo kết quả gần đây
+const db = require('./db');
+const questionBank = require('./questionBank');
+
+// Days until a question in box N is due again; box 1 (just missed) is due in the next game
+const LEITNER_INTERVALS_DAYS = [null, 0, 1, 3, 7, 21];
+const MAX_BOX = LEITNER_INTERVALS_DAYS.length - 1;
+
+// Share of a game that may be spent re-asking due questions
+const REVIEW_SHARE = 0.3;
+
+// How many recent answers decide the level
+const RECENT_WINDOW = 20;
+const MIN_ANSWERS_FOR_LEVEL = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Move a question between Leitner boxes after an answer: right = next box, wrong = back to box 1
+function recordAnswer(userId, questionId, correct) {
+    const items = db.collection('reviewItems');
+    const now = new Date();
+
+    let item = items.find(r => r.userId === userId && r.questionId === questionId);
+    if (!item) {
+        item = { userId, questionId, box: 1, reviews: 0 };
+        items.push(item);
+    }
+
+    item.box = correct ? Math.min(MAX_BOX, item.box + 1) : 1;
+    item.reviews++;
+    item.lastCorrect = Boolean(correct);
+    item.due = new Date(now.getTime() + LEITNER_INTERVALS_DAYS[item.box] * DAY_MS).toISOString();
+    item.updatedAt = now.toISOString();
+
+    db.save();
+    return item;
+}
+
+// Due questions for this grade/subject, lowest box (most often missed) first
+function dueQuestions(userId, grade, subject, limit, { approvedOnly = false, language, topic } = {}) {
+    if (!userId || limit <= 0) return [];
+    const now = new Date().toISOString();
+
+    return db.collection('reviewItems')
+        .filter(r => r.userId === userId && r.due <= now)
+        .sort((a, b) => a.box - b.box || a.due.localeCompare(b.due))
+        .map(r => questionBank.getQuestion(r.questionId))
+        .filter(q => q && questionBank.isServable(q, grade, subject, { approvedOnly, language, topic }))
+        .slice(0, limit);
+}
+
+// Accuracy over the user's most recent answers
+function recentAccuracy(userId) {
+    const recent = db.collection('reviewItems')
+        .filter(r => r.userId === userId)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .slice(0, RECENT_WINDOW);
+
+    const correct = recent.filter(r => r.lastCorrect).length;
+    return {
+        answered: recent.length,
+        accuracy: recent.length > 0 ? correct / recent.length : null
+    };
+}
+
+// Harder questions for students who keep getting them right, easier ones for those who struggle
+function recommendLevel(userId) {
+    if (!userId) return 'medium';
+
+    const { answered, accuracy } = recentAccuracy(userId);
+    if (answered < MIN_ANSWERS_FOR_LEVEL) return 'medium';
+    if (accuracy >= 0.8) return 'hard';
+    if (accuracy < 0.5) return 'easy';
+    return 'medium';
+}
+
+// Weak subjects weigh more when picking questions for "all subjects" games (keys are normalized subjects)
+function subjectWeights(user) {
+    const weights = {};
+    const subjectStats = user && user.stats ? user.stats.subjectStats || {} : {};
+
+    for (const [subject, stat] of Object.entries(subjectStats)) {
+        if (!stat.total || stat.total < 3) continue;
+        const accuracy = stat.correct / stat.total;
+        weights[questionBank.normalizeSubject(subject)] = 1 + (1 - accuracy) * 2;
+    }
+    return weights;
+}
+
+/**
+ * Questions for one game: due reviews first (up to REVIEW_SHARE of the game),
+ * then fresh questions near the wanted level, weighted towards weak subjects.
+ * Returns { questions, reviewIds }.
+ */
+function selectQuestions(grade, subject, num, user, { approvedOnly = false, includeSeen = false, level = null, language, topic } = {}) {
+    const userId = user ? user.id : null;
+    const reviews = dueQuestions(userId, grade, subject, Math.ceil(num * REVIEW_SHARE), { approvedOnly, language, topic });
+    const reviewIds = new Set(reviews.map(q => q.id));
+
+    const fresh = questionBank.pickQuestions(grade, subject, num - reviews.length, userId, {
+        approvedOnly,
+        includeSeen,
+        level,
+        language,
+        topic,
+        excludeIds: reviewIds,
+        subjectWeights: subjectWeights(user)
+    });
+
+    return { questions: reviews.concat(fresh), reviewIds };
+}
+
+function removeUserItems(userId) {
+    return db.remove('reviewItems', r => r.userId === userId);
+}
+
+module.exports = {
+    recordAnswer,
+    recommendLevel,
+    selectQuestions,
+    removeUserItems
+};
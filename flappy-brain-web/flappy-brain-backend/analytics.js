@@ -0,0 +1,281 @@
+// analytics.js - Lịch sử học tập: lưu từng câu trả lời và từng lượt chơi để xem tiến bộ theo thời gian
+const crypto = require('crypto');
+const db = require('./db');
+const questionBank = require('./questionBank');
+const gameModes = require('./gameModes');
+const { dateKey } = require('./dailyChallenge');
+
+// Oldest events are dropped past these limits so db.json stays small
+const MAX_ANSWERS_PER_USER = 5000;
+const MAX_GAMES_PER_USER = 1000;
+
+// A subject needs this many answers before it can be called weak
+const MIN_ANSWERS_FOR_WEAKNESS = 5;
+
+// How many slow questions the dashboard lists
+const HESITANT_QUESTIONS = 5;
+
+// Longer answer times are treated as "left the game open"
+const MAX_ANSWER_TIME_MS = 10 * 60 * 1000;
+
+// Stats played offline are synced later with the time they were played;
+// times older than this (or in the future) are recorded as "now"
+const MAX_OFFLINE_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Where a game was played; the rules it was played with are its `gameMode` (gameModes.js)
+const GAME_MODES = ['normal', 'daily', 'live', 'assignment'];
+
+function keepLatest(name, userId, max) {
+    const mine = db.collection(name).filter(e => e.userId === userId);
+    if (mine.length > max) {
+        const drop = new Set(mine.slice(0, mine.length - max).map(e => e.id));
+        db.remove(name, e => drop.has(e.id));
+    }
+}
+
+function toAnswerTime(value) {
+    const ms = Math.round(Number(value));
+    return Number.isFinite(ms) && ms >= 0 ? Math.min(ms, MAX_ANSWER_TIME_MS) : null;
+}
+
+function toEventTime(value) {
+    const now = Date.now();
+    const time = value ? new Date(value).getTime() : NaN;
+    return new Date(Number.isFinite(time) && time <= now && now - time <= MAX_OFFLINE_AGE_MS ? time : now).toISOString();
+}
+
+// One answered question (caller saves); `verified` = checked by the server against a game session's answer key,
+// `playedAt` = when it was answered, for answers synced after playing offline
+function recordAnswer(userId, { questionId = null, subject, grade = null, correct, timeMs = null, hintUsed = false, timedOut = false, verified = false, playedAt = null }) {
+    const event = {
+        id: crypto.randomUUID(),
+        userId: userId,
+        questionId: typeof questionId === 'string' ? questionId : null,
+        subject: subject,
+        grade: Number.isInteger(grade) ? grade : null,
+        correct: Boolean(correct),
+        timeMs: toAnswerTime(timeMs),
+        hintUsed: Boolean(hintUsed),
+        timedOut: Boolean(timedOut),
+        verified: verified === true,
+        createdAt: toEventTime(playedAt)
+    };
+
+    db.collection('answerEvents').push(event);
+    keepLatest('answerEvents', userId, MAX_ANSWERS_PER_USER);
+    return event;
+}
+
+// One finished game (caller saves); `verified` = score recomputed by the server from the run log,
+// `won` = every question of the game was answered (see gameModes.isWon), `playedAt` as in recordAnswer
+function recordGame(userId, { score, grade = null, subject = null, difficulty = null, mode = 'normal', gameMode = gameModes.DEFAULT_MODE, questionsAnswered = 0, correctAnswers = 0, pipes = null, hintsUsed = 0, won = false, durationMs = null, verified = false, playedAt = null }) {
+    const event = {
+        id: crypto.randomUUID(),
+        userId: userId,
+        score: score,
+        grade: Number.isInteger(grade) ? grade : null,
+        subject: typeof subject === 'string' ? subject : null,
+        difficulty: typeof difficulty === 'string' ? difficulty : null,
+        mode: GAME_MODES.includes(mode) ? mode : 'normal',
+        gameMode: gameModes.isMode(gameMode) ? gameMode : gameModes.DEFAULT_MODE,
+        questionsAnswered: Math.max(0, parseInt(questionsAnswered) || 0),
+        correctAnswers: Math.max(0, parseInt(correctAnswers) || 0),
+        pipes: Number.isInteger(pipes) && pipes >= 0 ? pipes : null,
+        hintsUsed: Math.max(0, parseInt(hintsUsed) || 0),
+        won: won === true,
+        durationMs: Number.isFinite(Number(durationMs)) ? Math.max(0, Math.round(Number(durationMs))) : null,
+        verified: verified,
+        createdAt: toEventTime(playedAt)
+    };
+
+    db.collection('gameEvents').push(event);
+    keepLatest('gameEvents', userId, MAX_GAMES_PER_USER);
+    return event;
+}
+
+// Accuracy per day, for every subject and for all subjects together ('all')
+function accuracyOverTime(answers) {
+    const series = {};
+    for (const a of answers) {
+        const day = dateKey(new Date(a.createdAt));
+        for (const key of ['all', a.subject]) {
+            if (!series[key]) series[key] = new Map();
+            const point = series[key].get(day) || { date: day, answered: 0, correct: 0 };
+            point.answered++;
+            if (a.correct) point.correct++;
+            series[key].set(day, point);
+        }
+    }
+
+    const result = {};
+    for (const [key, points] of Object.entries(series)) {
+        result[key] = [...points.values()]
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(p => ({ ...p, accuracy: Math.round(p.correct / p.answered * 100) }));
+    }
+    return result;
+}
+
+// Lowest accuracy first; subjects are split by grade since grade 6 and grade 12 maths are different topics
+function weakestTopics(answers, limit = 3) {
+    const groups = new Map();
+    for (const a of answers) {
+        const key = `${a.grade}|${a.subject}`;
+        const group = groups.get(key) || { grade: a.grade, subject: a.subject, answered: 0, correct: 0, hints: 0, times: [] };
+        group.answered++;
+        if (a.correct) group.correct++;
+        if (a.hintUsed) group.hints++;
+        if (a.timeMs !== null) group.times.push(a.timeMs);
+        groups.set(key, group);
+    }
+
+    return [...groups.values()]
+        .filter(g => g.answered >= MIN_ANSWERS_FOR_WEAKNESS)
+        .map(g => ({
+            grade: g.grade,
+            subject: g.subject,
+            answered: g.answered,
+            accuracy: Math.round(g.correct / g.answered * 100),
+            hintRate: Math.round(g.hints / g.answered * 100),
+            avgTimeMs: g.times.length > 0 ? Math.round(g.times.reduce((sum, t) => sum + t, 0) / g.times.length) : null
+        }))
+        .sort((a, b) => a.accuracy - b.accuracy || b.answered - a.answered)
+        .slice(0, limit);
+}
+
+// Bank questions the student took longest to answer, with how often the countdown ran out
+function hesitantQuestions(answers, limit = HESITANT_QUESTIONS) {
+    const groups = new Map();
+    for (const a of answers) {
+        if (!a.questionId || a.timeMs === null) continue;
+        const group = groups.get(a.questionId) || { questionId: a.questionId, answered: 0, correct: 0, timeouts: 0, totalMs: 0 };
+        group.answered++;
+        if (a.correct) group.correct++;
+        if (a.timedOut) group.timeouts++;
+        group.totalMs += a.timeMs;
+        groups.set(a.questionId, group);
+    }
+
+    return [...groups.values()]
+        .map(g => ({ ...g, avgTimeMs: Math.round(g.totalMs / g.answered), question: questionBank.getQuestion(g.questionId) }))
+        .filter(g => g.question)
+        .sort((a, b) => b.avgTimeMs - a.avgTimeMs)
+        .slice(0, limit)
+        .map(({ totalMs, question, ...g }) => ({ ...g, subject: question.subject, text: question.text }));
+}
+
+function shiftDay(day, delta) {
+    const [y, m, d] = day.split('-').map(Number);
+    return dateKey(new Date(y, m - 1, d + delta));
+}
+
+/**
+ * Streaks: days in a row with at least one game (the current one still counts
+ * if the student hasn't played yet today), and correct answers in a row.
+ */
+function streaks(games, answers) {
+    const days = new Set(games.map(g => dateKey(new Date(g.createdAt))));
+
+    let longestDays = 0;
+    for (const day of days) {
+        if (days.has(shiftDay(day, -1))) continue;
+        let length = 1;
+        while (days.has(shiftDay(day, length))) length++;
+        longestDays = Math.max(longestDays, length);
+    }
+
+    let day = dateKey();
+    if (!days.has(day)) day = shiftDay(day, -1);
+    let currentDays = 0;
+    while (days.has(day)) {
+        currentDays++;
+        day = shiftDay(day, -1);
+    }
+
+    let currentCorrect = 0;
+    let longestCorrect = 0;
+    for (const a of answers) {
+        currentCorrect = a.correct ? currentCorrect + 1 : 0;
+        longestCorrect = Math.max(longestCorrect, currentCorrect);
+    }
+
+    return { currentDays, longestDays, currentCorrect, longestCorrect };
+}
+
+// Games, best and average score per game mode (games stored before modes existed are classic)
+function modeSummary(games) {
+    const summary = {};
+    for (const g of games) {
+        const mode = g.gameMode || gameModes.DEFAULT_MODE;
+        const entry = summary[mode] || { games: 0, bestScore: 0, totalScore: 0 };
+        entry.games++;
+        entry.bestScore = Math.max(entry.bestScore, g.score);
+        entry.totalScore += g.score;
+        summary[mode] = entry;
+    }
+
+    for (const [mode, entry] of Object.entries(summary)) {
+        const { totalScore, ...rest } = entry;
+        summary[mode] = { ...rest, avgScore: Math.round(totalScore / entry.games) };
+    }
+    return summary;
+}
+
+// `verifiedOnly`: only games and answers the server checked itself (what badges are awarded for);
+// the others, and the time they were played, are sent by the client
+function getStreaks(userId, { verifiedOnly = false } = {}) {
+    const counts = e => e.userId === userId && (!verifiedOnly || e.verified === true);
+    return streaks(
+        db.collection('gameEvents').filter(counts),
+        db.collection('answerEvents').filter(counts)
+    );
+}
+
+/**
+ * Everything the stats dashboard shows for one student.
+ * Charts cover the last `days` days; streaks, weak topics and totals use the whole history.
+ */
+function getDashboard(userId, { days = 30, gameLimit = 20 } = {}) {
+    const answers = db.collection('answerEvents').filter(a => a.userId === userId);
+    const games = db.collection('gameEvents').filter(g => g.userId === userId);
+
+    const since = new Date();
+    since.setHours(0, 0, 0, 0);
+    since.setDate(since.getDate() - (days - 1));
+    const sinceISO = since.toISOString();
+
+    const correct = answers.filter(a => a.correct).length;
+    const times = answers.filter(a => a.timeMs !== null).map(a => a.timeMs);
+
+    return {
+        days: days,
+        totals: {
+            games: games.length,
+            bestScore: games.reduce((best, g) => Math.max(best, g.score), 0),
+            answered: answers.length,
+            correct: correct,
+            accuracy: answers.length > 0 ? Math.round(correct / answers.length * 100) : 0,
+            hintsUsed: answers.filter(a => a.hintUsed).length,
+            avgTimeMs: times.length > 0 ? Math.round(times.reduce((sum, t) => sum + t, 0) / times.length) : null
+        },
+        accuracyOverTime: accuracyOverTime(answers.filter(a => a.createdAt >= sinceISO)),
+        weakestTopics: weakestTopics(answers),
+        hesitantQuestions: hesitantQuestions(answers),
+        streaks: streaks(games, answers),
+        modes: modeSummary(games),
+        games: games.slice(-gameLimit).reverse().map(({ userId, ...game }) => game)
+    };
+}
+
+function removeUserEvents(userId) {
+    return db.remove('answerEvents', a => a.userId === userId) +
+        db.remove('gameEvents', g => g.userId === userId);
+}
+
+module.exports = {
+    recordAnswer,
+    recordGame,
+    getDashboard,
+    getStreaks,
+    removeUserEvents
+};
@@ -0,0 +1,54 @@
+// buildVendor.js - Tạo thư mục vendor/: Tailwind CSS và MathJax được phục vụ cùng trang để chơi offline
+// Chạy lại (npm run build:vendor) khi thêm lớp Tailwind mới vào index.html hoặc nâng phiên bản MathJax,
+// rồi cập nhật VENDOR_FILES trong sw.js nếu danh sách tệp thay đổi
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const VENDOR_DIR = path.join(__dirname, 'vendor');
+const MATHJAX_SRC = path.join(path.dirname(require.resolve('mathjax/package.json')), 'es5');
+const MATHJAX_DEST = path.join(VENDOR_DIR, 'mathjax');
+
+// Same layout as the MathJax package, so the fonts and the TeX extensions it loads on demand
+// resolve relative to tex-mml-chtml.js. all-packages.js is only for custom builds and is left out.
+const MATHJAX_FILES = ['tex-mml-chtml.js'];
+const MATHJAX_DIRS = ['output/chtml/fonts/woff-v2', 'input/tex/extensions'];
+const MATHJAX_SKIP = ['all-packages.js'];
+
+function buildTailwind() {
+    const cli = require.resolve('tailwindcss/lib/cli.js');
+    execFileSync(process.execPath, [
+        cli,
+        '-c', path.join(__dirname, 'tailwind.config.js'),
+        '-i', path.join(__dirname, 'tailwind.input.css'),
+        '-o', path.join(VENDOR_DIR, 'tailwind.css'),
+        '--minify'
+    ], { cwd: __dirname, stdio: 'inherit' });
+}
+
+function copyMathJax() {
+    fs.rmSync(MATHJAX_DEST, { recursive: true, force: true });
+
+    const copied = [];
+    const copy = relative => {
+        const dest = path.join(MATHJAX_DEST, relative);
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        fs.copyFileSync(path.join(MATHJAX_SRC, relative), dest);
+        copied.push(relative);
+    };
+
+    MATHJAX_FILES.forEach(copy);
+    for (const dir of MATHJAX_DIRS) {
+        fs.readdirSync(path.join(MATHJAX_SRC, dir))
+            .filter(name => !MATHJAX_SKIP.includes(name))
+            .sort()
+            .forEach(name => copy(`${dir}/${name}`));
+    }
+    fs.copyFileSync(path.join(MATHJAX_SRC, '..', 'LICENSE'), path.join(MATHJAX_DEST, 'LICENSE'));
+    return copied;
+}
+
+fs.mkdirSync(VENDOR_DIR, { recursive: true });
+buildTailwind();
+const files = copyMathJax();
+console.log(`✅ vendor/tailwind.css and ${files.length} MathJax files written to ${VENDOR_DIR}`);
@@ -0,0 +1,305 @@
+// classes.js - Lớp học và bài tập về nhà: giáo viên tạo lớp, học sinh vào lớp bằng mã, bài tập có hạn nộp và điểm tối thiểu
+const crypto = require('crypto');
+const db = require('./db');
+const questionBank = require('./questionBank');
+const { dateKey } = require('./dailyChallenge');
+
+// Same alphabet as live session codes (no 0/O or 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_NAME_LENGTH = 60;
+const MAX_TITLE_LENGTH = 100;
+
+// Homework is played like an exam: no hints, wrong answers don't end the run, no speed bonus (gameModes.js)
+const ASSIGNMENT_MODE = 'exam';
+
+// ========== CLASSES ==========
+
+// Class codes stay valid as long as the class exists, so they are unique among all classes
+function createCode() {
+    const taken = new Set(db.collection('classes').map(c => c.code));
+    let code;
+    do {
+        code = Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    } while (taken.has(code));
+    return code;
+}
+
+function createClass(teacher, { name, grade }) {
+    const cls = {
+        id: crypto.randomUUID(),
+        code: createCode(),
+        name: String(name).trim().slice(0, MAX_NAME_LENGTH),
+        grade: grade,
+        teacherId: teacher.id,
+        teacherName: teacher.username,
+        students: [],
+        createdAt: new Date().toISOString()
+    };
+
+    db.collection('classes').push(cls);
+    db.save();
+    return cls;
+}
+
+function findByCode(code) {
+    const key = String(code || '').trim().toUpperCase();
+    return db.collection('classes').find(c => c.code === key) || null;
+}
+
+function getClass(id) {
+    return db.collection('classes').find(c => c.id === id) || null;
+}
+
+function listForTeacher(user) {
+    return db.collection('classes')
+        .filter(c => user.role === 'admin' || c.teacherId === user.id)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function listForStudent(userId) {
+    return db.collection('classes').filter(c => c.students.some(s => s.userId === userId));
+}
+
+function canManage(user, cls) {
+    return user.role === 'admin' || cls.teacherId === user.id;
+}
+
+function isMember(cls, userId) {
+    return cls.students.some(s => s.userId === userId);
+}
+
+// Joining twice is fine: the student keeps their place (and results) in the roster
+function join(cls, user) {
+    let student = cls.students.find(s => s.userId === user.id);
+    if (!student) {
+        student = {
+            userId: user.id,
+            username: user.username,
+            joinedAt: new Date().toISOString()
+        };
+        cls.students.push(student);
+        db.save();
+    }
+    return student;
+}
+
+// Results already handed in stay on the assignments, but the student no longer sees the class's homework
+function removeStudent(cls, userId) {
+    const before = cls.students.length;
+    cls.students = cls.students.filter(s => s.userId !== userId);
+    if (cls.students.length === before) return false;
+    db.save();
+    return true;
+}
+
+function deleteClass(cls) {
+    db.remove('assignments', a => a.classId === cls.id);
+    db.remove('classes', c => c.id === cls.id);
+    db.save();
+}
+
+// ========== ASSIGNMENTS ==========
+
+/**
+ * Homework for a class. The question list is fixed when the assignment is created (picked ids,
+ * or drawn from the bank for a curriculum topic), so every student of the class gets the same set.
+ * `dueDate` is a YYYY-MM-DD day (the whole day counts); `minScore` is the percentage of the
+ * questions a student must answer correctly in one game for the assignment to count as done.
+ */
+function createAssignment(cls, teacher, { title, subject, topic = null, questions, dueDate, minScore }) {
+    const assignment = {
+        id: crypto.randomUUID(),
+        classId: cls.id,
+        title: title ? String(title).trim().slice(0, MAX_TITLE_LENGTH) : `${cls.name} - ${subject === 'all' ? 'Tất cả môn' : subject}`,
+        grade: cls.grade,
+        subject: subject,
+        topic: topic,
+        questionIds: questions.map(q => q.id),
+        dueDate: dueDate,
+        minScore: minScore,
+        createdBy: teacher.id,
+        createdAt: new Date().toISOString(),
+        results: []
+    };
+
+    db.collection('assignments').push(assignment);
+    db.save();
+    return assignment;
+}
+
+function getAssignment(id) {
+    return db.collection('assignments').find(a => a.id === id) || null;
+}
+
+function listAssignments(classId) {
+    return db.collection('assignments')
+        .filter(a => a.classId === classId)
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.createdAt.localeCompare(b.createdAt));
+}
+
+function deleteAssignment(assignment) {
+    db.remove('assignments', a => a.id === assignment.id);
+    db.save();
+}
+
+// Questions in assignment order (deleted bank questions are skipped)
+function getQuestions(assignment) {
+    return assignment.questionIds.map(id => questionBank.getQuestion(id)).filter(Boolean);
+}
+
+function isOverdue(assignment, today = dateKey()) {
+    return today > assignment.dueDate;
+}
+
+/**
+ * Record one finished, server-verified game (caller saves). The best game counts; the assignment
+ * is done the first time a game reaches `minScore`, and stays done. Games after the due date
+ * are still recorded, but a completion then is marked late.
+ */
+function recordAttempt(assignment, userId, { score, correctAnswers }) {
+    const total = assignment.questionIds.length;
+    const percent = total > 0 ? Math.round(Math.min(correctAnswers, total) / total * 100) : 0;
+    const now = new Date();
+
+    let result = assignment.results.find(r => r.userId === userId);
+    if (!result) {
+        result = { userId, attempts: 0, bestScore: 0, bestCorrect: 0, bestPercent: 0, lastPlayedAt: null, completedAt: null, late: false };
+        assignment.results.push(result);
+    }
+
+    result.attempts++;
+    result.bestScore = Math.max(result.bestScore, score);
+    result.bestCorrect = Math.max(result.bestCorrect, correctAnswers);
+    result.bestPercent = Math.max(result.bestPercent, percent);
+    result.lastPlayedAt = now.toISOString();
+    if (!result.completedAt && percent >= assignment.minScore) {
+        result.completedAt = now.toISOString();
+        result.late = isOverdue(assignment, dateKey(now));
+    }
+    return { ...result, percent };
+}
+
+/**
+ * Teacher view: one row per student currently in the class (students who haven't played yet
+ * have no attempts), and how many of them are done.
+ */
+function getProgress(assignment, cls) {
+    const students = cls.students.map(s => {
+        const result = assignment.results.find(r => r.userId === s.userId);
+        return {
+            userId: s.userId,
+            username: s.username,
+            attempts: result ? result.attempts : 0,
+            bestScore: result ? result.bestScore : null,
+            bestCorrect: result ? result.bestCorrect : null,
+            bestPercent: result ? result.bestPercent : null,
+            lastPlayedAt: result ? result.lastPlayedAt : null,
+            completed: Boolean(result && result.completedAt),
+            completedAt: result ? result.completedAt : null,
+            late: Boolean(result && result.late)
+        };
+    });
+
+    return {
+        students: students,
+        completed: students.filter(s => s.completed).length,
+        started: students.filter(s => s.attempts > 0).length
+    };
+}
+
+// Homework of every class the student is in that isn't done yet, soonest due date first
+function pendingFor(userId) {
+    const classes = listForStudent(userId);
+    return classes
+        .flatMap(cls => listAssignments(cls.id).map(a => ({ assignment: a, cls })))
+        .filter(({ assignment }) => !assignment.results.some(r => r.userId === userId && r.completedAt))
+        .sort((a, b) => a.assignment.dueDate.localeCompare(b.assignment.dueDate))
+        .map(({ assignment, cls }) => toStudentAssignment(assignment, cls, userId));
+}
+
+// Teachers' account deletion takes their classes along; students leave their rosters and results
+function removeUser(userId) {
+    for (const cls of db.collection('classes').filter(c => c.teacherId === userId)) {
+        db.remove('assignments', a => a.classId === cls.id);
+    }
+    db.remove('classes', c => c.teacherId === userId);
+
+    for (const cls of listForStudent(userId)) {
+        cls.students = cls.students.filter(s => s.userId !== userId);
+    }
+    for (const a of db.collection('assignments')) {
+        a.results = a.results.filter(r => r.userId !== userId);
+    }
+}
+
+// ========== CLIENT VIEWS ==========
+
+function toClassSummary(cls) {
+    return {
+        id: cls.id,
+        code: cls.code,
+        name: cls.name,
+        grade: cls.grade,
+        teacherName: cls.teacherName,
+        studentCount: cls.students.length,
+        assignmentCount: db.collection('assignments').filter(a => a.classId === cls.id).length,
+        createdAt: cls.createdAt
+    };
+}
+
+function toAssignmentSummary(assignment) {
+    return {
+        id: assignment.id,
+        classId: assignment.classId,
+        title: assignment.title,
+        grade: assignment.grade,
+        subject: assignment.subject,
+        topic: assignment.topic,
+        questionCount: assignment.questionIds.length,
+        dueDate: assignment.dueDate,
+        minScore: assignment.minScore,
+        overdue: isOverdue(assignment),
+        createdAt: assignment.createdAt
+    };
+}
+
+// What a student sees on the menu: the assignment, its class and their own best result so far
+function toStudentAssignment(assignment, cls, userId) {
+    const result = assignment.results.find(r => r.userId === userId);
+    return {
+        ...toAssignmentSummary(assignment),
+        className: cls.name,
+        teacherName: cls.teacherName,
+        attempts: result ? result.attempts : 0,
+        bestPercent: result ? result.bestPercent : null,
+        completed: Boolean(result && result.completedAt)
+    };
+}
+
+module.exports = {
+    ASSIGNMENT_MODE,
+    createClass,
+    findByCode,
+    getClass,
+    listForTeacher,
+    listForStudent,
+    canManage,
+    isMember,
+    join,
+    removeStudent,
+    deleteClass,
+    createAssignment,
+    getAssignment,
+    listAssignments,
+    deleteAssignment,
+    getQuestions,
+    isOverdue,
+    recordAttempt,
+    getProgress,
+    pendingFor,
+    removeUser,
+    toClassSummary,
+    toAssignmentSummary,
+    toStudentAssignment
+};
@@ -0,0 +1,443 @@
+// curriculum.js - Chương trình GDPT 2018: lớp → môn → chương → chủ đề, để luyện đúng phần lớp đang học
+
+// Subjects as the game sends them to the server (mapSubjectToBackend in index.html), with the slug used in ids.
+// Grades 6-9 study Khoa học tự nhiên and Lịch sử và Địa lý as combined subjects; their strands are listed under these subjects
+const SUBJECT_SLUGS = {
+    'Toán học': 'toan',
+    'Vật lý': 'ly',
+    'Hóa học': 'hoa',
+    'Sinh học': 'sinh',
+    'Ngữ văn': 'van',
+    'Tiếng Anh': 'anh',
+    'Lịch sử': 'su',
+    'Địa lý': 'dia'
+};
+
+/**
+ * Seed tree: grade → subject → [chapter name, [topic names]].
+ * Ids come from the positions (`6-toan-2` = chapter 2, `6-toan-2-3` = its topic 3) and are stored on bank
+ * questions and in the players' stats, so only append chapters and topics: reordering changes the ids.
+ */
+const SEED = {
+    6: {
+        'Toán học': [
+            ['Tập hợp các số tự nhiên', ['Tập hợp', 'Các phép tính với số tự nhiên', 'Lũy thừa với số mũ tự nhiên', 'Thứ tự thực hiện các phép tính']],
+            ['Tính chia hết trong tập hợp các số tự nhiên', ['Quan hệ chia hết', 'Số nguyên tố', 'Ước chung và bội chung']],
+            ['Số nguyên', ['Tập hợp các số nguyên', 'Phép cộng và phép trừ số nguyên', 'Phép nhân và phép chia hết số nguyên']],
+            ['Một số hình phẳng trong thực tiễn', ['Tam giác đều, hình vuông, lục giác đều', 'Hình chữ nhật, hình thoi, hình bình hành, hình thang cân', 'Chu vi và diện tích']],
+            ['Phân số và số thập phân', ['Phân số', 'Các phép tính với phân số', 'Số thập phân']]
+        ],
+        'Vật lý': [
+            ['Các phép đo', ['Đo chiều dài', 'Đo khối lượng', 'Đo thời gian', 'Đo nhiệt độ']],
+            ['Lực', ['Lực và biểu diễn lực', 'Biến dạng của lò xo', 'Trọng lượng, lực hấp dẫn', 'Lực ma sát']],
+            ['Năng lượng', ['Các dạng năng lượng', 'Sự chuyển hóa năng lượng', 'Tiết kiệm năng lượng']],
+            ['Trái Đất và bầu trời', ['Chuyển động nhìn thấy của Mặt Trời', 'Chuyển động nhìn thấy của Mặt Trăng', 'Hệ Mặt Trời và Ngân Hà']]
+        ],
+        'Hóa học': [
+            ['Các thể của chất', ['Sự đa dạng của chất', 'Ba thể của chất và sự chuyển thể']],
+            ['Oxygen và không khí', ['Oxygen', 'Không khí và bảo vệ môi trường không khí']],
+            ['Vật liệu, nhiên liệu, nguyên liệu, lương thực', ['Một số vật liệu', 'Nhiên liệu và an ninh năng lượng', 'Nguyên liệu', 'Lương thực – thực phẩm']],
+            ['Hỗn hợp và tách chất', ['Hỗn hợp các chất', 'Tách chất khỏi hỗn hợp']]
+        ],
+        'Sinh học': [
+            ['Tế bào', ['Tế bào – đơn vị cơ sở của sự sống', 'Thành phần và chức năng của tế bào', 'Sự lớn lên và sinh sản của tế bào']],
+            ['Từ tế bào đến cơ thể', ['Cơ thể sinh vật', 'Các cấp độ tổ chức của cơ thể đa bào']],
+            ['Đa dạng thế giới sống', ['Phân loại thế giới sống', 'Virus và vi khuẩn', 'Nguyên sinh vật và nấm', 'Thực vật', 'Động vật']]
+        ],
+        'Ngữ văn': [
+            ['Đọc hiểu văn bản', ['Truyện đồng thoại', 'Truyền thuyết và cổ tích', 'Thơ lục bát', 'Hồi ký và du ký']],
+            ['Tiếng Việt', ['Từ đơn và từ phức', 'Biện pháp tu từ so sánh và ẩn dụ', 'Trạng ngữ']],
+            ['Viết', ['Kể lại một trải nghiệm của bản thân', 'Đoạn văn cảm nghĩ về bài thơ']]
+        ],
+        'Tiếng Anh': [
+            ['Chủ đề bài học', ['My new school', 'My house', 'My friends', 'My neighbourhood', 'Natural wonders of Viet Nam', 'Our Tet holiday', 'Television', 'Sports and games', 'Cities of the world', 'Our houses in the future', 'Our greener world', 'Robots']],
+            ['Ngữ pháp', ['Present simple and present continuous', 'Prepositions of place', 'Comparative adjectives', 'Countable and uncountable nouns', 'Past simple', 'Future simple and might']]
+        ],
+        'Lịch sử': [
+            ['Vì sao phải học lịch sử?', ['Lịch sử và cuộc sống', 'Thời gian trong lịch sử']],
+            ['Xã hội nguyên thủy', ['Nguồn gốc loài người', 'Xã hội nguyên thủy']],
+            ['Xã hội cổ đại', ['Ai Cập và Lưỡng Hà cổ đại', 'Ấn Độ cổ đại', 'Trung Quốc cổ đại', 'Hy Lạp và La Mã cổ đại']],
+            ['Việt Nam từ thế kỷ VII TCN đến đầu thế kỷ X', ['Nhà nước Văn Lang, Âu Lạc', 'Thời kỳ Bắc thuộc và chống Bắc thuộc', 'Chiến thắng Bạch Đằng năm 938']]
+        ],
+        'Địa lý': [
+            ['Bản đồ', ['Kinh tuyến, vĩ tuyến và tọa độ địa lý', 'Kí hiệu và bảng chú giải bản đồ', 'Tìm đường đi trên bản đồ']],
+            ['Trái Đất – hành tinh của hệ Mặt Trời', ['Chuyển động tự quay quanh trục', 'Chuyển động quanh Mặt Trời', 'Cấu tạo của Trái Đất']],
+            ['Khí hậu và biến đổi khí hậu', ['Các tầng khí quyển', 'Thời tiết và khí hậu', 'Biến đổi khí hậu']],
+            ['Nước trên Trái Đất', ['Các thành phần của thủy quyển', 'Sông và hồ', 'Biển và đại dương']]
+        ]
+    },
+    7: {
+        'Toán học': [
+            ['Số hữu tỉ', ['Tập hợp các số hữu tỉ', 'Các phép tính với số hữu tỉ', 'Lũy thừa của số hữu tỉ']],
+            ['Số thực', ['Số vô tỉ và căn bậc hai số học', 'Tập hợp các số thực']],
+            ['Góc và đường thẳng song song', ['Góc ở vị trí đặc biệt', 'Hai đường thẳng song song', 'Định lý và chứng minh định lý']],
+            ['Tam giác bằng nhau', ['Tổng các góc trong một tam giác', 'Các trường hợp bằng nhau của tam giác', 'Tam giác cân']],
+            ['Tỉ lệ thức và đại lượng tỉ lệ', ['Tỉ lệ thức', 'Dãy tỉ số bằng nhau', 'Đại lượng tỉ lệ thuận và tỉ lệ nghịch']],
+            ['Biểu thức đại số và đa thức một biến', ['Biểu thức đại số', 'Đa thức một biến', 'Phép cộng, trừ, nhân, chia đa thức một biến']]
+        ],
+        'Vật lý': [
+            ['Tốc độ', ['Tốc độ chuyển động', 'Đo tốc độ', 'Đồ thị quãng đường – thời gian']],
+            ['Âm thanh', ['Mô tả sóng âm', 'Độ to và độ cao của âm', 'Phản xạ âm']],
+            ['Ánh sáng', ['Năng lượng ánh sáng, tia sáng, vùng tối', 'Sự phản xạ ánh sáng', 'Ảnh của vật qua gương phẳng']],
+            ['Từ', ['Nam châm', 'Từ trường', 'Từ trường Trái Đất']]
+        ],
+        'Hóa học': [
+            ['Nguyên tử', ['Nguyên tử', 'Nguyên tố hóa học']],
+            ['Sơ lược về bảng tuần hoàn', ['Cấu tạo bảng tuần hoàn các nguyên tố hóa học']],
+            ['Phân tử và liên kết hóa học', ['Phân tử, đơn chất, hợp chất', 'Liên kết ion và liên kết cộng hóa trị', 'Hóa trị và công thức hóa học']]
+        ],
+        'Sinh học': [
+            ['Trao đổi chất và chuyển hóa năng lượng', ['Quang hợp', 'Hô hấp tế bào', 'Trao đổi khí', 'Trao đổi nước và chất dinh dưỡng']],
+            ['Cảm ứng ở sinh vật', ['Cảm ứng ở sinh vật', 'Tập tính ở động vật']],
+            ['Sinh trưởng và phát triển', ['Sinh trưởng và phát triển ở sinh vật']],
+            ['Sinh sản', ['Sinh sản vô tính', 'Sinh sản hữu tính']]
+        ],
+        'Ngữ văn': [
+            ['Đọc hiểu văn bản', ['Truyện ngắn và tiểu thuyết', 'Thơ bốn chữ, năm chữ', 'Truyện ngụ ngôn và tục ngữ', 'Văn bản nghị luận']],
+            ['Tiếng Việt', ['Số từ và phó từ', 'Nói quá, nói giảm nói tránh', 'Mạch lạc và liên kết']],
+            ['Viết', ['Kể về một sự việc có thật liên quan đến nhân vật lịch sử', 'Phân tích đặc điểm nhân vật']]
+        ],
+        'Tiếng Anh': [
+            ['Chủ đề bài học', ['Hobbies', 'Healthy living', 'Community service', 'Music and arts', 'Food and drink', 'A visit to a school', 'Traffic', 'Films', 'Festivals around the world', 'Energy sources', 'Travelling in the future', 'English-speaking countries']],
+            ['Ngữ pháp', ['Past simple', 'Present perfect', 'Comparisons: like, different from, (not) as ... as', 'Articles and quantifiers', 'Future simple', 'Possessive pronouns']]
+        ],
+        'Lịch sử': [
+            ['Tây Âu từ thế kỷ V đến nửa đầu thế kỷ XVI', ['Chế độ phong kiến Tây Âu', 'Các cuộc phát kiến địa lý', 'Văn hóa Phục hưng']],
+            ['Trung Quốc và Ấn Độ thời trung đại', ['Trung Quốc từ thế kỷ VII đến giữa thế kỷ XIX', 'Ấn Độ từ thế kỷ IV đến giữa thế kỷ XIX']],
+            ['Việt Nam từ đầu thế kỷ X đến đầu thế kỷ XVI', ['Thời Ngô – Đinh – Tiền Lê', 'Thời Lý', 'Thời Trần và kháng chiến chống Mông – Nguyên', 'Thời Lê sơ']]
+        ],
+        'Địa lý': [
+            ['Châu Âu', ['Thiên nhiên châu Âu', 'Dân cư, xã hội châu Âu', 'Liên minh châu Âu']],
+            ['Châu Á', ['Thiên nhiên châu Á', 'Dân cư châu Á', 'Các khu vực của châu Á']],
+            ['Châu Phi', ['Thiên nhiên châu Phi', 'Dân cư, xã hội châu Phi']],
+            ['Châu Mỹ', ['Thiên nhiên châu Mỹ', 'Rừng A-ma-dôn']],
+            ['Châu Đại Dương và châu Nam Cực', ['Châu Đại Dương', 'Châu Nam Cực']]
+        ]
+    },
+    8: {
+        'Toán học': [
+            ['Đa thức', ['Đơn thức và đa thức nhiều biến', 'Các phép toán với đa thức']],
+            ['Hằng đẳng thức đáng nhớ và ứng dụng', ['Hằng đẳng thức đáng nhớ', 'Phân tích đa thức thành nhân tử']],
+            ['Tứ giác', ['Tứ giác', 'Hình thang cân', 'Hình bình hành', 'Hình chữ nhật, hình thoi, hình vuông']],
+            ['Định lý Thalès', ['Định lý Thalès trong tam giác', 'Đường trung bình của tam giác', 'Tính chất đường phân giác']],
+            ['Phân thức đại số', ['Phân thức đại số', 'Các phép tính với phân thức']],
+            ['Phương trình bậc nhất và hàm số bậc nhất', ['Phương trình bậc nhất một ẩn', 'Hàm số và đồ thị', 'Hàm số bậc nhất']]
+        ],
+        'Vật lý': [
+            ['Khối lượng riêng và áp suất', ['Khối lượng riêng', 'Áp suất trên một bề mặt', 'Áp suất chất lỏng và chất khí', 'Lực đẩy Archimedes']],
+            ['Tác dụng làm quay của lực', ['Moment lực', 'Đòn bẩy']],
+            ['Điện', ['Hiện tượng nhiễm điện', 'Dòng điện, nguồn điện', 'Mạch điện đơn giản', 'Cường độ dòng điện và hiệu điện thế']],
+            ['Nhiệt', ['Năng lượng nhiệt và nội năng', 'Dẫn nhiệt, đối lưu, bức xạ nhiệt', 'Sự nở vì nhiệt']]
+        ],
+        'Hóa học': [
+            ['Phản ứng hóa học', ['Biến đổi vật lý và biến đổi hóa học', 'Phản ứng hóa học và năng lượng', 'Định luật bảo toàn khối lượng', 'Phương trình hóa học']],
+            ['Mol và tính toán hóa học', ['Mol và tỉ khối chất khí', 'Tính theo phương trình hóa học', 'Nồng độ dung dịch']],
+            ['Acid – Base – pH – Oxide – Muối', ['Acid', 'Base', 'Thang pH', 'Oxide', 'Muối', 'Phân bón hóa học']]
+        ],
+        'Sinh học': [
+            ['Cơ thể người', ['Hệ vận động', 'Dinh dưỡng và tiêu hóa', 'Máu và hệ tuần hoàn', 'Hệ hô hấp', 'Hệ bài tiết', 'Hệ thần kinh và giác quan']],
+            ['Sinh vật và môi trường', ['Môi trường và các nhân tố sinh thái', 'Quần thể sinh vật', 'Quần xã sinh vật', 'Hệ sinh thái và sinh quyển']]
+        ],
+        'Ngữ văn': [
+            ['Đọc hiểu văn bản', ['Truyện lịch sử', 'Thơ Đường luật', 'Văn bản nghị luận', 'Hài kịch và truyện cười']],
+            ['Tiếng Việt', ['Từ tượng hình và từ tượng thanh', 'Câu hỏi, câu khiến, câu cảm, câu kể', 'Trợ từ và thán từ']],
+            ['Viết', ['Nghị luận về một vấn đề của đời sống', 'Phân tích một tác phẩm văn học']]
+        ],
+        'Tiếng Anh': [
+            ['Chủ đề bài học', ['Leisure time', 'Life in the countryside', 'Teenagers', 'Ethnic groups of Viet Nam', 'Our customs and traditions', 'Lifestyles', 'Environmental protection', 'Shopping', 'Natural disasters', 'Communication in the future', 'Science and technology', 'Life on other planets']],
+            ['Ngữ pháp', ['Verbs of liking + gerund', 'Comparative forms of adverbs', 'Simple, compound and complex sentences', 'Past continuous', 'Reported speech', 'Conditional sentences type 1']]
+        ],
+        'Lịch sử': [
+            ['Châu Âu và Bắc Mỹ từ nửa sau thế kỷ XVI đến thế kỷ XVIII', ['Các cuộc cách mạng tư sản', 'Cách mạng công nghiệp']],
+            ['Việt Nam từ đầu thế kỷ XVI đến thế kỷ XVIII', ['Xung đột Nam – Bắc triều và Trịnh – Nguyễn', 'Phong trào Tây Sơn']],
+            ['Thế giới từ cuối thế kỷ XVIII đến đầu thế kỷ XX', ['Chủ nghĩa đế quốc', 'Phong trào công nhân', 'Châu Á cuối thế kỷ XIX – đầu thế kỷ XX']],
+            ['Việt Nam từ thế kỷ XIX đến đầu thế kỷ XX', ['Việt Nam thời Nguyễn', 'Kháng chiến chống thực dân Pháp xâm lược', 'Phong trào yêu nước đầu thế kỷ XX']]
+        ],
+        'Địa lý': [
+            ['Vị trí địa lý và địa hình Việt Nam', ['Vị trí địa lý và phạm vi lãnh thổ', 'Địa hình Việt Nam', 'Khoáng sản Việt Nam']],
+            ['Khí hậu và thủy văn Việt Nam', ['Khí hậu Việt Nam', 'Biến đổi khí hậu ở Việt Nam', 'Thủy văn Việt Nam']],
+            ['Thổ nhưỡng và sinh vật Việt Nam', ['Đất Việt Nam', 'Sinh vật Việt Nam']],
+            ['Biển đảo Việt Nam', ['Vùng biển và đảo', 'Môi trường và tài nguyên biển đảo']]
+        ]
+    },
+    9: {
+        'Toán học': [
+            ['Phương trình và hệ hai phương trình bậc nhất hai ẩn', ['Phương trình bậc nhất hai ẩn', 'Giải hệ hai phương trình bậc nhất hai ẩn', 'Giải bài toán bằng cách lập hệ phương trình']],
+            ['Phương trình và bất phương trình bậc nhất một ẩn', ['Phương trình quy về phương trình bậc nhất một ẩn', 'Bất phương trình bậc nhất một ẩn']],
+            ['Căn bậc hai và căn bậc ba', ['Căn bậc hai và căn thức bậc hai', 'Biến đổi biểu thức chứa căn', 'Căn bậc ba']],
+            ['Hệ thức lượng trong tam giác vuông', ['Tỉ số lượng giác của góc nhọn', 'Hệ thức giữa cạnh và góc của tam giác vuông']],
+            ['Đường tròn', ['Mở đầu về đường tròn', 'Góc ở tâm, góc nội tiếp', 'Vị trí tương đối của đường thẳng và đường tròn', 'Đường tròn ngoại tiếp và nội tiếp']],
+            ['Hàm số y = ax² và phương trình bậc hai một ẩn', ['Hàm số y = ax²', 'Phương trình bậc hai một ẩn', 'Định lý Viète']]
+        ],
+        'Vật lý': [
+            ['Năng lượng cơ học', ['Động năng và thế năng', 'Cơ năng', 'Công và công suất']],
+            ['Ánh sáng', ['Khúc xạ ánh sáng', 'Phản xạ toàn phần', 'Thấu kính', 'Kính lúp']],
+            ['Điện', ['Điện trở và định luật Ohm', 'Đoạn mạch nối tiếp và song song', 'Năng lượng và công suất điện']],
+            ['Điện từ', ['Cảm ứng điện từ', 'Dòng điện xoay chiều']],
+            ['Năng lượng với cuộc sống', ['Năng lượng của Trái Đất', 'Năng lượng hóa thạch và năng lượng tái tạo']]
+        ],
+        'Hóa học': [
+            ['Kim loại', ['Tính chất chung của kim loại', 'Dãy hoạt động hóa học', 'Tách kim loại và sử dụng hợp kim']],
+            ['Phi kim', ['Sự khác nhau giữa phi kim và kim loại']],
+            ['Hợp chất hữu cơ', ['Giới thiệu về hợp chất hữu cơ', 'Alkane', 'Alkene', 'Nguồn nhiên liệu']],
+            ['Ethylic alcohol và acetic acid', ['Ethylic alcohol', 'Acetic acid']],
+            ['Lipid, carbohydrate, protein, polymer', ['Lipid và chất béo', 'Glucose và saccharose', 'Tinh bột và cellulose', 'Protein', 'Polymer']]
+        ],
+        'Sinh học': [
+            ['Di truyền', ['Gene và DNA', 'Nhiễm sắc thể', 'Di truyền học Mendel', 'Đột biến']],
+            ['Di truyền học với con người', ['Di truyền học người', 'Ứng dụng công nghệ di truyền']],
+            ['Tiến hóa', ['Khái niệm tiến hóa', 'Chọn lọc tự nhiên', 'Sự phát sinh sự sống']]
+        ],
+        'Ngữ văn': [
+            ['Đọc hiểu văn bản', ['Truyện truyền kỳ', 'Thơ song thất lục bát', 'Truyện thơ Nôm', 'Văn bản nghị luận xã hội']],
+            ['Tiếng Việt', ['Điển cố, điển tích', 'Câu rút gọn và câu đặc biệt', 'Các biện pháp tu từ']],
+            ['Viết', ['Nghị luận về một vấn đề cần giải quyết', 'Phân tích một tác phẩm truyện']]
+        ],
+        'Tiếng Anh': [
+            ['Chủ đề bài học', ['Local community', 'City life', 'Healthy living for teens', 'Remembering the past', 'Our experiences', 'Vietnamese lifestyle: then and now', 'Natural wonders of the world', 'Tourism', 'World Englishes', 'Planet Earth', 'Electronic devices', 'Career choices']],
+            ['Ngữ pháp', ['Phrasal verbs', 'Present perfect and past simple', 'Wish sentences', 'Relative clauses', 'Passive voice']]
+        ],
+        'Lịch sử': [
+            ['Thế giới từ 1918 đến 1945', ['Nước Nga và Liên Xô', 'Châu Âu và nước Mỹ', 'Chiến tranh thế giới thứ hai']],
+            ['Việt Nam từ 1918 đến 1945', ['Phong trào dân tộc dân chủ 1918–1930', 'Đảng Cộng sản Việt Nam ra đời', 'Cách mạng tháng Tám năm 1945']],
+            ['Thế giới từ 1945 đến 1991', ['Chiến tranh lạnh', 'Liên Xô và Đông Âu', 'Châu Á, châu Phi và Mỹ Latinh']],
+            ['Việt Nam từ 1945 đến 1991', ['Kháng chiến chống thực dân Pháp', 'Kháng chiến chống Mỹ cứu nước', 'Đất nước sau năm 1975']]
+        ],
+        'Địa lý': [
+            ['Địa lý dân cư Việt Nam', ['Dân tộc và dân số', 'Phân bố dân cư và các loại hình quần cư', 'Lao động và việc làm']],
+            ['Địa lý các ngành kinh tế', ['Nông nghiệp, lâm nghiệp, thủy sản', 'Công nghiệp', 'Dịch vụ']],
+            ['Sự phân hóa lãnh thổ', ['Trung du và miền núi Bắc Bộ', 'Đồng bằng sông Hồng', 'Bắc Trung Bộ và Duyên hải Nam Trung Bộ', 'Tây Nguyên', 'Đông Nam Bộ', 'Đồng bằng sông Cửu Long']]
+        ]
+    },
+    10: {
+        'Toán học': [
+            ['Mệnh đề và tập hợp', ['Mệnh đề', 'Tập hợp và các phép toán trên tập hợp']],
+            ['Bất phương trình và hệ bất phương trình bậc nhất hai ẩn', ['Bất phương trình bậc nhất hai ẩn', 'Hệ bất phương trình bậc nhất hai ẩn']],
+            ['Hệ thức lượng trong tam giác', ['Giá trị lượng giác của một góc từ 0° đến 180°', 'Hệ thức lượng trong tam giác']],
+            ['Vectơ', ['Các khái niệm mở đầu', 'Tổng và hiệu của hai vectơ', 'Tích của vectơ với một số', 'Tích vô hướng của hai vectơ']],
+            ['Hàm số, đồ thị và ứng dụng', ['Hàm số', 'Hàm số bậc hai', 'Dấu của tam thức bậc hai']],
+            ['Phương pháp tọa độ trong mặt phẳng', ['Tọa độ của vectơ', 'Phương trình đường thẳng', 'Đường tròn', 'Ba đường conic']],
+            ['Đại số tổ hợp', ['Quy tắc đếm', 'Hoán vị, chỉnh hợp và tổ hợp', 'Nhị thức Newton']]
+        ],
+        'Vật lý': [
+            ['Động học', ['Độ dịch chuyển và quãng đường', 'Vận tốc', 'Chuyển động biến đổi, gia tốc', 'Chuyển động ném']],
+            ['Động lực học', ['Ba định luật Newton', 'Một số lực trong thực tiễn', 'Moment lực và cân bằng của vật rắn']],
+            ['Năng lượng, công, công suất', ['Công và công suất', 'Động năng và thế năng', 'Định luật bảo toàn cơ năng', 'Hiệu suất']],
+            ['Động lượng', ['Động lượng', 'Định luật bảo toàn động lượng']],
+            ['Chuyển động tròn và biến dạng', ['Chuyển động tròn đều', 'Biến dạng của vật rắn']]
+        ],
+        'Hóa học': [
+            ['Cấu tạo nguyên tử', ['Thành phần của nguyên tử', 'Nguyên tố hóa học', 'Cấu trúc lớp vỏ electron']],
+            ['Bảng tuần hoàn các nguyên tố hóa học', ['Cấu tạo bảng tuần hoàn', 'Xu hướng biến đổi tính chất', 'Định luật tuần hoàn']],
+            ['Liên kết hóa học', ['Quy tắc octet', 'Liên kết ion', 'Liên kết cộng hóa trị', 'Liên kết hydrogen và tương tác van der Waals']],
+            ['Phản ứng oxi hóa – khử', ['Số oxi hóa', 'Lập phương trình phản ứng oxi hóa – khử']],
+            ['Năng lượng hóa học và tốc độ phản ứng', ['Enthalpy tạo thành và biến thiên enthalpy', 'Tốc độ phản ứng']],
+            ['Nguyên tố nhóm VIIA', ['Tính chất của các halogen', 'Hydrogen halide và muối halide']]
+        ],
+        'Sinh học': [
+            ['Giới thiệu chung về thế giới sống', ['Các cấp độ tổ chức của thế giới sống']],
+            ['Thành phần hóa học của tế bào', ['Các nguyên tố hóa học và nước', 'Các phân tử sinh học']],
+            ['Cấu trúc tế bào', ['Tế bào nhân sơ', 'Tế bào nhân thực']],
+            ['Trao đổi chất qua màng và truyền tin tế bào', ['Trao đổi chất qua màng sinh chất', 'Truyền tin tế bào']],
+            ['Chuyển hóa năng lượng trong tế bào', ['Enzyme', 'Quang hợp', 'Hô hấp tế bào']],
+            ['Chu kì tế bào và phân bào', ['Chu kì tế bào và nguyên phân', 'Giảm phân']],
+            ['Vi sinh vật và virus', ['Đặc điểm của vi sinh vật', 'Virus']]
+        ],
+        'Ngữ văn': [
+            ['Đọc hiểu văn bản', ['Thần thoại và sử thi', 'Thơ Đường luật và thơ hiện đại', 'Chèo và tuồng', 'Truyện', 'Văn bản nghị luận']],
+            ['Tiếng Việt', ['Sử dụng từ Hán Việt', 'Lỗi dùng từ và lỗi trật tự từ', 'Biện pháp tu từ']],
+            ['Viết', ['Nghị luận về một vấn đề xã hội', 'Phân tích, đánh giá một tác phẩm văn học', 'Báo cáo nghiên cứu']]
+        ],
+        'Tiếng Anh': [
+            ['Chủ đề bài học', ['Family life', 'Humans and the environment', 'Music', 'For a better community', 'Inventions', 'Gender equality', 'Viet Nam and international organisations', 'New ways to learn', 'Protecting the environment', 'Ecotourism']],
+            ['Ngữ pháp', ['Present simple and present continuous', 'Will and be going to', 'Passive voice', 'Relative clauses', 'Compound and complex sentences', 'Comparative and superlative adjectives']]
+        ],
+        'Lịch sử': [
+            ['Lịch sử và sử học', ['Hiện thực lịch sử và nhận thức lịch sử', 'Tri thức lịch sử và cuộc sống']],
+            ['Một số nền văn minh thế giới thời cổ – trung đại', ['Văn minh Ai Cập, Trung Hoa và Ấn Độ cổ đại', 'Văn minh Hy Lạp – La Mã cổ đại', 'Văn minh thời Phục hưng']],
+            ['Các cuộc cách mạng công nghiệp', ['Cách mạng công nghiệp thời cận đại', 'Cách mạng công nghiệp thời hiện đại']],
+            ['Văn minh Đông Nam Á', ['Cơ sở hình thành văn minh Đông Nam Á', 'Thành tựu văn minh Đông Nam Á']],
+            ['Một số nền văn minh trên đất nước Việt Nam', ['Văn minh Văn Lang – Âu Lạc', 'Văn minh Chăm-pa và Phù Nam', 'Văn minh Đại Việt']],
+            ['Cộng đồng các dân tộc Việt Nam', ['Các dân tộc Việt Nam', 'Khối đại đoàn kết dân tộc']]
+        ],
+        'Địa lý': [
+            ['Sử dụng bản đồ', ['Phương pháp biểu hiện các đối tượng trên bản đồ', 'GPS và bản đồ số']],
+            ['Trái Đất', ['Sự hình thành Trái Đất và vỏ Trái Đất', 'Thuyết kiến tạo mảng', 'Hệ quả chuyển động của Trái Đất']],
+            ['Thạch quyển, khí quyển, thủy quyển', ['Nội lực và ngoại lực', 'Nhiệt độ không khí', 'Khí áp, gió và mưa', 'Nước trên lục địa', 'Nước biển và đại dương']],
+            ['Thổ nhưỡng quyển và sinh quyển', ['Đất và sinh vật', 'Quy luật địa đới và phi địa đới']],
+            ['Địa lý dân cư và kinh tế', ['Dân số và gia tăng dân số', 'Cơ cấu dân số', 'Đô thị hóa', 'Các nguồn lực phát triển kinh tế']]
+        ]
+    },
+    11: {
+        'Toán học': [
+            ['Hàm số lượng giác và phương trình lượng giác', ['Góc lượng giác', 'Công thức lượng giác', 'Hàm số lượng giác', 'Phương trình lượng giác cơ bản']],
+            ['Dãy số, cấp số cộng và cấp số nhân', ['Dãy số', 'Cấp số cộng', 'Cấp số nhân']],
+            ['Giới hạn, hàm số liên tục', ['Giới hạn của dãy số', 'Giới hạn của hàm số', 'Hàm số liên tục']],
+            ['Quan hệ song song trong không gian', ['Đường thẳng và mặt phẳng', 'Hai đường thẳng song song', 'Đường thẳng và mặt phẳng song song', 'Hai mặt phẳng song song']],
+            ['Hàm số mũ và hàm số lôgarit', ['Phép tính lũy thừa', 'Phép tính lôgarit', 'Hàm số mũ và hàm số lôgarit', 'Phương trình, bất phương trình mũ và lôgarit']],
+            ['Quan hệ vuông góc trong không gian', ['Hai đường thẳng vuông góc', 'Đường thẳng vuông góc với mặt phẳng', 'Hai mặt phẳng vuông góc', 'Khoảng cách', 'Thể tích']],
+            ['Đạo hàm', ['Định nghĩa và ý nghĩa của đạo hàm', 'Các quy tắc tính đạo hàm', 'Đạo hàm cấp hai']],
+            ['Xác suất', ['Biến cố giao và quy tắc nhân xác suất', 'Biến cố hợp và quy tắc cộng xác suất']]
+        ],
+        'Vật lý': [
+            ['Dao động', ['Dao động điều hòa', 'Năng lượng trong dao động điều hòa', 'Dao động tắt dần, dao động cưỡng bức, cộng hưởng']],
+            ['Sóng', ['Mô tả sóng', 'Sóng dọc và sóng ngang', 'Sóng điện từ', 'Giao thoa sóng', 'Sóng dừng']],
+            ['Trường điện', ['Định luật Coulomb', 'Điện trường', 'Điện thế và thế năng điện', 'Tụ điện']],
+            ['Dòng điện, mạch điện', ['Cường độ dòng điện', 'Điện trở và định luật Ohm', 'Nguồn điện', 'Năng lượng điện, công suất điện']]
+        ],
+        'Hóa học': [
+            ['Cân bằng hóa học', ['Khái niệm về cân bằng hóa học', 'Cân bằng trong dung dịch nước']],
+            ['Nitrogen và sulfur', ['Nitrogen', 'Ammonia và muối ammonium', 'Hợp chất của nitrogen với oxygen', 'Sulfur và sulfur dioxide', 'Sulfuric acid và muối sulfate']],
+            ['Đại cương về hóa học hữu cơ', ['Hợp chất hữu cơ và hóa học hữu cơ', 'Phương pháp tách biệt và tinh chế', 'Công thức phân tử', 'Cấu tạo hóa học']],
+            ['Hydrocarbon', ['Alkane', 'Hydrocarbon không no', 'Arene']],
+            ['Dẫn xuất halogen – alcohol – phenol', ['Dẫn xuất halogen', 'Alcohol', 'Phenol']],
+            ['Hợp chất carbonyl – carboxylic acid', ['Hợp chất carbonyl', 'Carboxylic acid']]
+        ],
+        'Sinh học': [
+            ['Trao đổi chất và chuyển hóa năng lượng ở sinh vật', ['Trao đổi nước và khoáng ở thực vật', 'Quang hợp ở thực vật', 'Hô hấp ở thực vật', 'Dinh dưỡng và tiêu hóa ở động vật', 'Hô hấp và tuần hoàn ở động vật', 'Miễn dịch', 'Bài tiết và cân bằng nội môi']],
+            ['Cảm ứng ở sinh vật', ['Cảm ứng ở thực vật', 'Cảm ứng ở động vật', 'Tập tính ở động vật']],
+            ['Sinh trưởng và phát triển ở sinh vật', ['Sinh trưởng và phát triển ở thực vật', 'Sinh trưởng và phát triển ở động vật']],
+            ['Sinh sản ở sinh vật', ['Sinh sản ở thực vật', 'Sinh sản ở động vật']]
+        ],
+        'Ngữ văn': [
+            ['Đọc hiểu văn bản', ['Truyện ngắn hiện đại', 'Thơ trữ tình', 'Kịch', 'Văn bản nghị luận', 'Văn bản thông tin', 'Tùy bút và tản văn']],
+            ['Tiếng Việt', ['Ngôn ngữ trang trọng và ngôn ngữ thân mật', 'Lỗi về thành phần câu', 'Biện pháp tu từ']],
+            ['Viết', ['Nghị luận về một vấn đề xã hội', 'Nghị luận về một tác phẩm văn học', 'Báo cáo kết quả nghiên cứu']]
+        ],
+        'Tiếng Anh': [
+            ['Chủ đề bài học', ['A long and healthy life', 'The generation gap', 'Cities of the future', 'ASEAN and Viet Nam', 'Global warming', 'Preserving our heritage', 'Education options for school-leavers', 'Becoming independent', 'Social issues', 'The ecosystem']],
+            ['Ngữ pháp', ['Past simple and present perfect', 'Modal verbs: must, have to, should', 'Stative verbs', 'Gerunds and to-infinitives', 'Participle and to-infinitive clauses', 'Linking verbs', 'Cleft sentences']]
+        ],
+        'Lịch sử': [
+            ['Cách mạng tư sản và sự phát triển của chủ nghĩa tư bản', ['Một số cuộc cách mạng tư sản', 'Sự xác lập và phát triển của chủ nghĩa tư bản']],
+            ['Chủ nghĩa xã hội từ năm 1917 đến nay', ['Sự hình thành Liên bang Xô viết', 'Chủ nghĩa xã hội từ năm 1945 đến nay']],
+            ['Quá trình giành độc lập dân tộc của các quốc gia Đông Nam Á', ['Chủ nghĩa thực dân ở Đông Nam Á', 'Hành trình đi đến độc lập dân tộc']],
+            ['Chiến tranh bảo vệ Tổ quốc và chiến tranh giải phóng dân tộc', ['Khái quát về chiến tranh bảo vệ Tổ quốc', 'Một số cuộc kháng chiến thắng lợi tiêu biểu', 'Một số cuộc khởi nghĩa và chiến tranh giải phóng']],
+            ['Một số cuộc cải cách lớn trong lịch sử Việt Nam', ['Cải cách Hồ Quý Ly', 'Cải cách Lê Thánh Tông', 'Cải cách Minh Mạng']],
+            ['Lịch sử bảo vệ chủ quyền biển đảo', ['Vị trí và tầm quan trọng của Biển Đông', 'Việt Nam và Biển Đông']]
+        ],
+        'Địa lý': [
+            ['Sự khác biệt về trình độ phát triển kinh tế – xã hội', ['Các nhóm nước', 'Toàn cầu hóa và khu vực hóa']],
+            ['Khu vực Mỹ Latinh', ['Tự nhiên, dân cư, xã hội và kinh tế Mỹ Latinh']],
+            ['Liên minh châu Âu', ['Liên minh châu Âu – một liên kết kinh tế khu vực lớn']],
+            ['Khu vực Đông Nam Á', ['Tự nhiên, dân cư và xã hội Đông Nam Á', 'Kinh tế khu vực Đông Nam Á', 'Hiệp hội các quốc gia Đông Nam Á']],
+            ['Các nền kinh tế lớn', ['Hoa Kỳ', 'Liên bang Nga', 'Nhật Bản', 'Trung Quốc', 'Ô-xtrây-li-a', 'Cộng hòa Nam Phi']]
+        ]
+    },
+    12: {
+        'Toán học': [
+            ['Ứng dụng đạo hàm để khảo sát hàm số', ['Tính đơn điệu và cực trị', 'Giá trị lớn nhất và giá trị nhỏ nhất', 'Đường tiệm cận', 'Khảo sát và vẽ đồ thị hàm số']],
+            ['Vectơ và hệ trục tọa độ trong không gian', ['Vectơ trong không gian', 'Hệ trục tọa độ trong không gian']],
+            ['Các số đặc trưng đo mức độ phân tán', ['Khoảng biến thiên và khoảng tứ phân vị', 'Phương sai và độ lệch chuẩn']],
+            ['Nguyên hàm và tích phân', ['Nguyên hàm', 'Tích phân', 'Ứng dụng hình học của tích phân']],
+            ['Phương pháp tọa độ trong không gian', ['Phương trình mặt phẳng', 'Phương trình đường thẳng', 'Phương trình mặt cầu']],
+            ['Xác suất có điều kiện', ['Xác suất có điều kiện', 'Công thức xác suất toàn phần và công thức Bayes']]
+        ],
+        'Vật lý': [
+            ['Vật lý nhiệt', ['Cấu trúc của chất và sự chuyển thể', 'Nội năng và định luật I nhiệt động lực học', 'Nhiệt độ và thang nhiệt độ', 'Nhiệt dung riêng, nhiệt nóng chảy, nhiệt hóa hơi']],
+            ['Khí lý tưởng', ['Mô hình động học phân tử chất khí', 'Các định luật chất khí', 'Phương trình trạng thái khí lý tưởng']],
+            ['Từ trường', ['Từ trường và lực từ', 'Cảm ứng điện từ', 'Dòng điện xoay chiều', 'Sóng điện từ']],
+            ['Vật lý hạt nhân và phóng xạ', ['Cấu trúc hạt nhân', 'Năng lượng liên kết và phản ứng hạt nhân', 'Hiện tượng phóng xạ']]
+        ],
+        'Hóa học': [
+            ['Ester – lipid', ['Ester', 'Lipid và chất béo', 'Xà phòng và chất giặt rửa']],
+            ['Carbohydrate', ['Glucose và fructose', 'Saccharose và maltose', 'Tinh bột và cellulose']],
+            ['Hợp chất chứa nitrogen', ['Amine', 'Amino acid và peptide', 'Protein và enzyme']],
+            ['Polymer', ['Đại cương về polymer', 'Vật liệu polymer']],
+            ['Pin điện và điện phân', ['Thế điện cực và nguồn điện hóa học', 'Điện phân']],
+            ['Đại cương về kim loại', ['Cấu tạo và tính chất của kim loại', 'Tách kim loại và ăn mòn kim loại', 'Hợp kim']],
+            ['Kim loại nhóm IA, IIA và kim loại chuyển tiếp', ['Kim loại nhóm IA', 'Kim loại nhóm IIA', 'Kim loại chuyển tiếp dãy thứ nhất']]
+        ],
+        'Sinh học': [
+            ['Di truyền phân tử', ['Gene và cơ chế truyền thông tin di truyền', 'Điều hòa biểu hiện gene', 'Đột biến gene']],
+            ['Di truyền nhiễm sắc thể', ['Nhiễm sắc thể và cơ chế di truyền', 'Đột biến nhiễm sắc thể']],
+            ['Quy luật di truyền', ['Thí nghiệm của Mendel', 'Liên kết gene và hoán vị gene', 'Di truyền giới tính và liên kết giới tính', 'Di truyền ngoài nhân']],
+            ['Di truyền quần thể và di truyền học người', ['Cấu trúc di truyền của quần thể', 'Di truyền học người']],
+            ['Tiến hóa', ['Bằng chứng tiến hóa', 'Học thuyết tiến hóa tổng hợp hiện đại', 'Sự phát sinh và phát triển sự sống']],
+            ['Sinh thái học', ['Môi trường và nhân tố sinh thái', 'Quần thể sinh vật', 'Quần xã sinh vật', 'Hệ sinh thái', 'Sinh thái học phục hồi và bảo tồn']]
+        ],
+        'Ngữ văn': [
+            ['Đọc hiểu văn bản', ['Tiểu thuyết và truyện ngắn hiện đại', 'Thơ hiện đại', 'Bi kịch', 'Văn bản nghị luận', 'Hồi ký và phóng sự']],
+            ['Tiếng Việt', ['Cách giải thích nghĩa của từ', 'Lỗi logic và lỗi diễn đạt', 'Biện pháp tu từ']],
+            ['Viết', ['Nghị luận về một vấn đề xã hội', 'Nghị luận về một tác phẩm văn học', 'Báo cáo nghiên cứu']]
+        ],
+        'Tiếng Anh': [
+            ['Chủ đề bài học', ['Life stories we admire', 'A multicultural world', 'Green living', 'Urbanisation', 'The world of work', 'Artificial intelligence', 'The world of mass media', 'Wildlife conservation', 'Career paths', 'Lifelong learning']],
+            ['Ngữ pháp', ['Past simple and past continuous', 'Articles', 'Double comparatives', 'Subject-verb agreement', 'Relative clauses', 'Reported speech', 'Inversion']]
+        ],
+        'Lịch sử': [
+            ['Thế giới trong và sau Chiến tranh lạnh', ['Liên hợp quốc', 'Trật tự thế giới trong Chiến tranh lạnh', 'Trật tự thế giới sau Chiến tranh lạnh']],
+            ['ASEAN: những chặng đường lịch sử', ['Sự ra đời và phát triển của ASEAN', 'Cộng đồng ASEAN']],
+            ['Cách mạng tháng Tám, chiến tranh giải phóng dân tộc và bảo vệ Tổ quốc', ['Cách mạng tháng Tám năm 1945', 'Kháng chiến chống thực dân Pháp 1945–1954', 'Kháng chiến chống Mỹ cứu nước 1954–1975', 'Đấu tranh bảo vệ Tổ quốc từ năm 1975 đến nay']],
+            ['Công cuộc Đổi mới ở Việt Nam từ năm 1986 đến nay', ['Khái quát về công cuộc Đổi mới', 'Thành tựu cơ bản của công cuộc Đổi mới']],
+            ['Lịch sử đối ngoại của Việt Nam', ['Đối ngoại thời cận – hiện đại', 'Đối ngoại thời kỳ Đổi mới']],
+            ['Hồ Chí Minh trong lịch sử Việt Nam', ['Cuộc đời và sự nghiệp của Hồ Chí Minh', 'Dấu ấn Hồ Chí Minh trong lòng nhân dân']]
+        ],
+        'Địa lý': [
+            ['Địa lý tự nhiên Việt Nam', ['Vị trí địa lý và phạm vi lãnh thổ', 'Thiên nhiên nhiệt đới ẩm gió mùa', 'Sự phân hóa đa dạng của thiên nhiên', 'Sử dụng hợp lý tài nguyên thiên nhiên']],
+            ['Địa lý dân cư', ['Dân số, lao động và việc làm', 'Đô thị hóa']],
+            ['Địa lý các ngành kinh tế', ['Chuyển dịch cơ cấu kinh tế', 'Nông nghiệp, lâm nghiệp, thủy sản', 'Công nghiệp', 'Giao thông vận tải và bưu chính viễn thông', 'Thương mại và du lịch']],
+            ['Địa lý các vùng kinh tế', ['Trung du và miền núi Bắc Bộ', 'Đồng bằng sông Hồng', 'Bắc Trung Bộ', 'Duyên hải Nam Trung Bộ', 'Tây Nguyên', 'Đông Nam Bộ', 'Đồng bằng sông Cửu Long', 'Phát triển kinh tế biển đảo']]
+        ]
+    }
+};
+
+// grade → subject → [{ id, name, topics: [{ id, name }] }], as sent to the client
+const tree = {};
+// Chapter and topic id → { id, grade, subject, chapter, topic } (topic = null for a chapter)
+const nodes = new Map();
+// Chapter id → its topics
+const chapterTopics = new Map();
+
+for (const [grade, subjects] of Object.entries(SEED)) {
+    tree[grade] = {};
+    for (const [subject, chapters] of Object.entries(subjects)) {
+        tree[grade][subject] = chapters.map(([chapterName, topicNames], c) => {
+            const chapter = { id: `${grade}-${SUBJECT_SLUGS[subject]}-${c + 1}`, name: chapterName };
+            nodes.set(chapter.id, { id: chapter.id, grade: Number(grade), subject: subject, chapter: chapter, topic: null });
+
+            const topics = topicNames.map((topicName, t) => {
+                const topic = { id: `${chapter.id}-${t + 1}`, name: topicName };
+                nodes.set(topic.id, { id: topic.id, grade: Number(grade), subject: subject, chapter: chapter, topic: topic });
+                return topic;
+            });
+            chapterTopics.set(chapter.id, topics);
+            return { ...chapter, topics: topics };
+        });
+    }
+}
+
+// The whole tree, or one grade's part of it
+function getCurriculum(grade = null) {
+    return grade ? { [grade]: tree[grade] || {} } : tree;
+}
+
+// Chapter or topic by id, null when it isn't in the curriculum
+function getNode(id) {
+    return typeof id === 'string' ? nodes.get(id) || null : null;
+}
+
+function getTopics(chapterId) {
+    return chapterTopics.get(chapterId) || [];
+}
+
+// Does a question tagged `nodeId` belong to the picked chapter or topic? A chapter covers its topics
+function covers(focusId, nodeId) {
+    const node = getNode(nodeId);
+    return Boolean(node) && (node.id === focusId || node.chapter.id === focusId);
+}
+
+// "Chapter › Topic" (or just the chapter) for prompts and logs
+function describe(id) {
+    const node = getNode(id);
+    if (!node) return null;
+    return node.topic ? `${node.chapter.name} › ${node.topic.name}` : node.chapter.name;
+}
+
+module.exports = {
+    getCurriculum,
+    getNode,
+    getTopics,
+    covers,
+    describe
+};
@@ -0,0 +1,97 @@
+// dailyChallenge.js - Thử thách hằng ngày: cùng seed, cùng bộ câu hỏi và cùng cài đặt cho mọi người trong ngày
+const crypto = require('crypto');
+const db = require('./db');
+const questionBank = require('./questionBank');
+
+const QUESTIONS_PER_CHALLENGE = 15;
+
+// Everyone plays on the same settings, otherwise the daily scores are not comparable
+const DIFFICULTY = 'medium';
+const GAME_SPEED = 1;
+const QUESTION_TIMER = true;
+
+// Challenges being picked right now, so two first players of the day don't create two different sets
+const creating = new Map();
+
+// Day of the challenge (server time, like the weekly leaderboard)
+function dateKey(now = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+function isDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// Same seed for every grade on a given day: everyone sees the same pipes
+function seedFor(date) {
+    return crypto.createHash('sha256').update(`daily:${date}`).digest().readUInt32LE(0);
+}
+
+function findChallenge(date, grade) {
+    return db.collection('dailyChallenges').find(c => c.date === date && c.grade === grade) || null;
+}
+
+/**
+ * Today's challenge for a grade, created on first request.
+ * `pickQuestions(grade, subject, num)` supplies the question set (bank, topped up if needed).
+ */
+async function getOrCreateChallenge(grade, pickQuestions, date = dateKey()) {
+    const existing = findChallenge(date, grade);
+    if (existing) return existing;
+
+    const key = `${date}:${grade}`;
+    if (creating.has(key)) return creating.get(key);
+
+    const promise = (async () => {
+        const questions = await pickQuestions(grade, 'all', QUESTIONS_PER_CHALLENGE);
+        if (questions.length === 0) {
+            throw new Error(`No questions available for the grade ${grade} daily challenge`);
+        }
+
+        const challenge = {
+            id: crypto.randomUUID(),
+            date: date,
+            grade: grade,
+            seed: seedFor(date),
+            difficulty: DIFFICULTY,
+            gameSpeed: GAME_SPEED,
+            questionTimer: QUESTION_TIMER,
+            questionIds: questions.map(q => q.id),
+            createdAt: new Date().toISOString()
+        };
+        db.collection('dailyChallenges').push(challenge);
+        db.save();
+        return challenge;
+    })().finally(() => creating.delete(key));
+
+    creating.set(key, promise);
+    return promise;
+}
+
+// Questions in challenge order (deleted bank questions are skipped)
+function getQuestions(challenge) {
+    return challenge.questionIds.map(id => questionBank.getQuestion(id)).filter(Boolean);
+}
+
+function toClientChallenge(challenge) {
+    return {
+        date: challenge.date,
+        grade: challenge.grade,
+        seed: challenge.seed,
+        difficulty: challenge.difficulty,
+        gameSpeed: challenge.gameSpeed,
+        questionTimer: Boolean(challenge.questionTimer),
+        questionCount: challenge.questionIds.length
+    };
+}
+
+module.exports = {
+    QUESTIONS_PER_CHALLENGE,
+    dateKey,
+    isDateKey,
+    findChallenge,
+    getOrCreateChallenge,
+    getQuestions,
+    toClientChallenge
+};
@@ -0,0 +1,81 @@
+// db.js - Lưu trữ dữ liệu dạng file JSON cho Flappy Brain backend
+const fs = require('fs');
+const path = require('path');
+
+// Outside the backend folder: server.js serves that folder as static files, and db.json holds
+// password hashes, session token hashes and every answer key
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const DB_FILE = path.join(DATA_DIR, 'db.json');
+
+// Where the database used to live (inside the web root); moved out on first start
+const LEGACY_DB_FILE = path.join(__dirname, 'data', 'db.json');
+
+let data = null;
+
+function moveLegacyFile() {
+    if (process.env.DATA_DIR || fs.existsSync(DB_FILE) || !fs.existsSync(LEGACY_DB_FILE)) return;
+
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.renameSync(LEGACY_DB_FILE, DB_FILE);
+    console.log(`📦 Moved database out of the web root: ${LEGACY_DB_FILE} -> ${DB_FILE}`);
+}
+
+// Load the database file once and keep it in memory
+function load() {
+    if (data) return data;
+
+    moveLegacyFile();
+
+    try {
+        data = JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('❌ Cannot read database file:', error.message);
+            throw error;
+        }
+        data = {};
+    }
+
+    return data;
+}
+
+// Get (and create if missing) a named collection
+function collection(name) {
+    const db = load();
+    if (!Array.isArray(db[name])) {
+        db[name] = [];
+    }
+    return db[name];
+}
+
+// Remove every item matching the predicate, returns how many were removed
+function remove(name, predicate) {
+    const items = collection(name);
+    let removed = 0;
+    for (let i = items.length - 1; i >= 0; i--) {
+        if (predicate(items[i])) {
+            items.splice(i, 1);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+// Write the whole database atomically (temp file + rename)
+function save() {
+    const db = load();
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+
+    const tmpFile = `${DB_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(db, null, 2));
+    fs.renameSync(tmpFile, DB_FILE);
+}
+
+module.exports = {
+    DATA_DIR,
+    LEGACY_DB_FILE,
+    DB_FILE,
+    collection,
+    remove,
+    save
+};
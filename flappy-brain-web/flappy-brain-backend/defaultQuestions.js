@@ -0,0 +1,37 @@
+// defaultQuestions.js - Bộ câu hỏi mặc định (giống bộ câu hỏi offline trong index.html) cho chế độ không có AI
+
+// Grades 6-9 share the basic set
+const BASIC_QUESTIONS = [
+    { subject: "Toán Học", text: "Kết quả của phép tính 15 + 27 là:", options: ["A. 42", "B. 32", "C. 52", "D. 37"], answer: "A" },
+    { subject: "Toán Học", text: "Số nào chia hết cho 3?", options: ["A. 21", "B. 22", "C. 23", "D. 25"], answer: "A" },
+    { subject: "Tiếng Việt", text: "Từ nào là từ láy?", options: ["A. xinh xắn", "B. hoa hồng", "C. nhà cửa", "D. sách vở"], answer: "A" },
+    { subject: "Khoa Học", text: "Cây xanh quang hợp nhờ chất nào?", options: ["A. Diệp lục", "B. Tinh bột", "C. Nước", "D. Khí oxy"], answer: "A" },
+    { subject: "Lịch Sử", text: "Vị vua đầu tiên của nước Văn Lang là:", options: ["A. Hùng Vương", "B. An Dương Vương", "C. Lý Nam Đế", "D. Đinh Bộ Lĩnh"], answer: "A" }
+];
+
+const QUESTIONS_BY_GRADE = {
+    10: [
+        { subject: "Toán Học", text: "Tập xác định của hàm số y = √(x-2) là gì?", options: ["A. [2; +∞)", "B. (-∞; 2]", "C. ℝ", "D. (2; +∞)"], answer: "A" },
+        { subject: "Toán Học", text: "Nghiệm của phương trình 2x - 3 = 5 là:", options: ["A. x = 4", "B. x = -4", "C. x = 2", "D. x = -2"], answer: "A" },
+        { subject: "Vật Lý", text: "Đơn vị của lực trong hệ SI là:", options: ["A. Newton", "B. Joule", "C. Watt", "D. Pascal"], answer: "A" },
+        { subject: "Hóa Học", text: "Công thức hóa học của nước là:", options: ["A. H₂O", "B. CO₂", "C. O₂", "D. H₂"], answer: "A" },
+        { subject: "Sinh Học", text: "Đơn vị cấu trúc cơ bản của cơ thể sống là:", options: ["A. Tế bào", "B. Mô", "C. Cơ quan", "D. Hệ cơ quan"], answer: "A" }
+    ],
+    11: [
+        { subject: "Toán Học", text: "Tập xác định của hàm số y = tanx là:", options: ["A. ℝ\\{π/2 + kπ}", "B. ℝ", "C. ℝ\\{kπ}", "D. ℝ\\{π + kπ}"], answer: "A" },
+        { subject: "Vật Lý", text: "Định luật Coulomb nói về:", options: ["A. Lực tương tác điện tích", "B. Lực hấp dẫn", "C. Lực đàn hồi", "D. Lực ma sát"], answer: "A" },
+        { subject: "Hóa Học", text: "Ankan có công thức chung:", options: ["A. CₙH₂ₙ₊₂", "B. CₙH₂ₙ", "C. CₙH₂ₙ₋₂", "D. CₙH₂ₙ₋₆"], answer: "A" }
+    ],
+    12: [
+        { subject: "Toán Học", text: "Nguyên hàm của f(x) = x² là:", options: ["A. x³/3 + C", "B. x³ + C", "C. 2x + C", "D. x²/2 + C"], answer: "A" },
+        { subject: "Vật Lý", text: "Hiện tượng quang điện được giải thích bởi:", options: ["A. Thuyết lượng tử ánh sáng", "B. Thuyết sóng ánh sáng", "C. Thuyết điện từ", "D. Thuyết hạt"], answer: "A" }
+    ]
+};
+
+function getDefaultQuestions(grade) {
+    return QUESTIONS_BY_GRADE[grade] || BASIC_QUESTIONS;
+}
+
+module.exports = {
+    getDefaultQuestions
+};
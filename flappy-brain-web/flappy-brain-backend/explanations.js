@@ -0,0 +1,155 @@
+// explanations.js - Lời giải thích đáp án có cấu trúc, lưu theo câu hỏi để không phải gọi AI lại mỗi lần
+const crypto = require('crypto');
+const db = require('./db');
+const questionBank = require('./questionBank');
+const questionTypes = require('./questionTypes');
+const locales = require('./locales');
+
+// 'default' = template of the offline provider
+const SOURCES = ['ai', 'default', 'teacher', 'import'];
+const MAX_TEXT_LENGTH = 1500;
+
+// Questions that aren't in the bank (built-in sets sent by the client) are cached in their own collection
+const MAX_CACHED_EXPLANATIONS = 2000;
+
+// Follow-up chat limits: the client sends the conversation, only its end is passed to the provider
+const MAX_CHAT_MESSAGES = 10;
+const MAX_CHAT_MESSAGE_LENGTH = 500;
+
+/**
+ * Explanation format:
+ * { correct, wrong: [{ option, reason }], example, source, createdAt }
+ * - correct: why the correct answer is right
+ * - wrong: why each wrong option is wrong (`option` = its letter); only choice, true/false and multi-select questions have them
+ * - example: a worked example or a similar case
+ * Texts may contain formulas written as \( ... \) for MathJax.
+ * Bank questions keep their explanation in `explanation`; teachers can write it themselves when creating or importing.
+ * It is in the question's language; explanations asked for in another language are cached like questions outside the bank.
+ */
+function cleanText(value) {
+    return typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+function optionLetter(option) {
+    return String(option).trim().charAt(0).toUpperCase();
+}
+
+// Letters of the options that are wrong answers
+function wrongLetters(q) {
+    const type = questionTypes.getType(q);
+    if (!['choice', 'true_false', 'multi_select'].includes(type) || !Array.isArray(q.options)) return [];
+    return q.options.map(optionLetter).filter(letter => !String(q.answer).includes(letter));
+}
+
+// Keep the known fields of an explanation (AI output, teacher input or an import); a plain string is the `correct` part.
+// Returns null when there is nothing usable
+function normalizeExplanation(input, q, source = 'ai') {
+    if (typeof input === 'string') input = { correct: input };
+    if (!input || typeof input !== 'object') return null;
+
+    const letters = wrongLetters(q);
+    const wrong = (Array.isArray(input.wrong) ? input.wrong : [])
+        .filter(w => w && typeof w === 'object')
+        .map(w => ({ option: optionLetter(w.option || ''), reason: cleanText(w.reason) }))
+        .filter((w, i, list) => w.reason && letters.includes(w.option) && list.findIndex(o => o.option === w.option) === i);
+
+    const correct = cleanText(input.correct);
+    if (!correct) return null;
+
+    return {
+        correct: correct,
+        wrong: wrong,
+        example: cleanText(input.example),
+        source: SOURCES.includes(source) ? source : 'ai',
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * The question an explanation request is about: { question, answer, stored } or { error, status }.
+ * Bank questions are explained from the bank (not from what the client sent), and only within a game
+ * session (gameSessions.js) that has already answered them. The answer sent by the client plays no part,
+ * so explanations can't be used to look answers up mid-game.
+ */
+function resolveQuestion(input, answer, session = null) {
+    if (!input || typeof input !== 'object') return { error: 'Missing question or answer', status: 400 };
+
+    const stored = typeof input.id === 'string' ? questionBank.getQuestion(input.id) : null;
+    if (stored) {
+        if (!session || !session.answers.some(a => a.questionId === stored.id)) {
+            return { error: 'Answer this question in your game first', status: 403 };
+        }
+        return { question: stored, answer: stored.answer, stored: stored };
+    }
+
+    if (typeof input.text !== 'string' || !input.text.trim()) return { error: 'Missing question text', status: 400 };
+    const type = questionTypes.getType(input);
+    const question = {
+        subject: typeof input.subject === 'string' ? input.subject : '',
+        text: input.text.trim(),
+        type: type,
+        options: Array.isArray(input.options) ? input.options.map(String) : [],
+        answer: questionTypes.normalizeAnswer(type, answer)
+    };
+    return { question: question, answer: question.answer, stored: null };
+}
+
+// Same question, answer and language = same cache entry
+function contentKey(q, language) {
+    return crypto.createHash('sha1')
+        .update(JSON.stringify([questionTypes.getType(q), questionBank.normalizeText(q.text), q.options || [], q.answer, language]))
+        .digest('hex');
+}
+
+function isStoredLanguage(resolved, language) {
+    return resolved.stored && locales.getLanguage(resolved.stored) === language;
+}
+
+function getCached(resolved, language = locales.DEFAULT_LANGUAGE) {
+    if (isStoredLanguage(resolved, language)) return resolved.stored.explanation || null;
+    const key = contentKey(resolved.question, language);
+    const entry = db.collection('explanations').find(e => e.key === key);
+    return entry ? entry.explanation : null;
+}
+
+function saveExplanation(resolved, explanation, language = locales.DEFAULT_LANGUAGE) {
+    if (isStoredLanguage(resolved, language)) {
+        resolved.stored.explanation = explanation;
+    } else {
+        const key = contentKey(resolved.question, language);
+        db.remove('explanations', e => e.key === key);
+
+        const items = db.collection('explanations');
+        items.push({ key: key, explanation: explanation });
+        if (items.length > MAX_CACHED_EXPLANATIONS) {
+            const drop = new Set(items.slice(0, items.length - MAX_CACHED_EXPLANATIONS).map(e => e.key));
+            db.remove('explanations', e => drop.has(e.key));
+        }
+    }
+    db.save();
+    return explanation;
+}
+
+// Follow-up conversation from the client: { messages } with the last messages, ending with the student's question, or { error }
+function normalizeChat(messages) {
+    if (!Array.isArray(messages)) return { error: 'Messages must be a list' };
+
+    const cleaned = messages
+        .filter(m => m && (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string' && m.content.trim())
+        .map(m => ({ role: m.role, content: m.content.trim().slice(0, MAX_CHAT_MESSAGE_LENGTH) }))
+        .slice(-MAX_CHAT_MESSAGES);
+
+    if (cleaned.length === 0 || cleaned[cleaned.length - 1].role !== 'user') {
+        return { error: 'The last message must be a question from the student' };
+    }
+    return { messages: cleaned };
+}
+
+module.exports = {
+    normalizeExplanation,
+    resolveQuestion,
+    getCached,
+    saveExplanation,
+    normalizeChat,
+    wrongLetters
+};
@@ -0,0 +1,66 @@
+// gameModes.js - Các chế độ chơi: cổ điển, nhiều mạng, vô tận, luyện tập và kiểm tra
+const DEFAULT_MODE = 'classic';
+
+// Endless games fetch more questions while playing, up to this many per game
+const MAX_ENDLESS_QUESTIONS = 500;
+
+/**
+ * Rules of each mode; the client mirrors them in GAME_MODES (index.html), keep both in sync.
+ * - lives: wrong answers end the run once they reach this number (null = wrong answers never end it)
+ * - pipes: false = questions only, the bird doesn't fly (no pipes in the run log)
+ * - hints: 'earned' (one per 10 points), 'free' or 'none'
+ * - questionCount: fixed number of questions per game (null = as many as the client asks for)
+ * - endless: the game has no last question, the client keeps fetching more until the bird crashes
+ * - points: per pipe passed and per correct answer; speedBonus = fast timed answers earn the bonus
+ * - ranked: scores go on the leaderboard (every mode has its own rankings)
+ */
+const MODES = {
+    classic: { lives: 1, pipes: true, hints: 'earned', questionCount: null, endless: false, points: { pipe: 1, correct: 5 }, speedBonus: true, ranked: true },
+    lives: { lives: 3, pipes: true, hints: 'earned', questionCount: null, endless: false, points: { pipe: 1, correct: 5 }, speedBonus: true, ranked: true },
+    endless: { lives: null, pipes: true, hints: 'earned', questionCount: null, endless: true, points: { pipe: 1, correct: 3 }, speedBonus: true, ranked: true },
+    practice: { lives: null, pipes: false, hints: 'free', questionCount: null, endless: false, points: { pipe: 0, correct: 1 }, speedBonus: false, ranked: false },
+    exam: { lives: null, pipes: true, hints: 'none', questionCount: 10, endless: false, points: { pipe: 0, correct: 10 }, speedBonus: false, ranked: true }
+};
+
+const MODE_IDS = Object.keys(MODES);
+
+function isMode(id) {
+    return MODE_IDS.includes(id);
+}
+
+// Unknown or missing modes (games stored before modes existed) are classic
+function getMode(id) {
+    return MODES[isMode(id) ? id : DEFAULT_MODE];
+}
+
+/**
+ * Won = every question of the game was answered before running out of lives.
+ * Endless games have no last question and practice games have nothing at stake, so neither can be won.
+ */
+function isWon(id, { served, answered, correct }) {
+    const mode = getMode(id);
+    if (mode.endless || !mode.ranked || served === 0 || answered < served) return false;
+    return mode.lives === null || answered - correct < mode.lives;
+}
+
+// Per-mode counters kept in the user's stats (stats.modeStats[mode])
+function createModeStats() {
+    return {
+        gamesPlayed: 0,
+        bestScore: 0,
+        totalScore: 0,
+        questionsAnswered: 0,
+        correctAnswers: 0
+    };
+}
+
+module.exports = {
+    DEFAULT_MODE,
+    MAX_ENDLESS_QUESTIONS,
+    MODES,
+    MODE_IDS,
+    isMode,
+    getMode,
+    isWon,
+    createModeStats
+};
@@ -0,0 +1,403 @@
+// gameSessions.js - Phiên chơi có chữ ký, đáp án giữ ở server và kiểm tra lượt chơi chống gian lận
+const crypto = require('crypto');
+const questionTypes = require('./questionTypes');
+const gameModes = require('./gameModes');
+const locales = require('./locales');
+
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+
+// Without a configured secret, tokens are only valid until the server restarts (sessions live in memory anyway)
+const SECRET = process.env.GAME_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Mirror of the game constants in index.html - keep both in sync
+const PHYSICS = {
+    FRAME_MS: 1000 / 60,
+    WIDTH: 288,
+    HEIGHT: 512,
+    BASE_HEIGHT: 112,
+    PIPE_WIDTH: 52,
+    BIRD_X: 50,
+    BIRD_HEIGHT: 24,
+    GRAVITY: 0.2,
+    JUMP_VELOCITY_BASE: -4,
+    PIPE_SPAWN_DISTANCE: 288 * 0.8,
+    PIPES_BETWEEN_QUESTIONS: 5,
+    BASE_SPEED: { easy: 1.0, medium: 1.2, hard: 1.5 },
+    MIN_GAME_SPEED: 0.5,
+    MAX_GAME_SPEED: 2.0,
+    // Answer countdown per question (applyDifficulty in index.html)
+    QUESTION_TIME_MS: { easy: 20000, medium: 15000, hard: 10000 }
+};
+
+// Power-ups (POWER_UPS and related constants in index.html): collected between pipes or earned with
+// a streak of correct answers; the run log records each one so the server can recount the score
+const POWER_UPS = {
+    KINDS: ['shield', 'slow', 'multiplier', 'hint'],
+    SOURCES: ['pickup', 'streak'],
+    STREAK: 3,
+    MIN_PIPES_BETWEEN: 4,
+    MULTIPLIER_PIPES: 5,
+    MULTIPLIER: 2
+};
+
+// Points per pipe and per correct answer depend on the game mode (gameModes.js)
+const POINTS_PER_HINT = 10;
+// Extra points for a correct answer with the whole countdown left, scaled down to 0 at the limit
+const MAX_SPEED_BONUS = 5;
+
+// Slack for frame jitter and timer rounding
+const TOLERANCE = 0.1;
+
+const sessions = new Map();
+
+// ========== TOKENS ==========
+
+function signPayload(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', SECRET).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+// Session for a token, or null if the signature is wrong or the session is gone
+function getSession(token) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [body, signature] = token.split('.');
+    const expected = crypto.createHmac('sha256', SECRET).update(body).digest('base64url');
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    const session = sessions.get(payload.sid);
+    if (!session || session.expiresAt < Date.now()) return null;
+    return session;
+}
+
+function purgeExpired() {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+        if (session.expiresAt < now) sessions.delete(id);
+    }
+}
+
+// ========== SESSIONS ==========
+
+// Start a game: the answer key stays here, the client only gets the token
+// `live` links the game to a classroom session: { sessionId, participantId }
+// `assignment` is the id of the homework the game is played for (classes.js)
+// `challenge` is the daily challenge date; its seed is shared, other games get a fresh one
+// `questionTimer`: answers have a countdown, fast correct answers earn a bonus and running out counts as wrong
+// `mode` is a game mode id (gameModes.js); `level` and `approvedOnly` are kept for endless games to fetch more questions alike
+function createSession({ userId, grade, subject, difficulty, gameSpeed, questions, live = null, assignment = null, seed = null, challenge = null, questionTimer = false, mode = gameModes.DEFAULT_MODE, level = null, approvedOnly = false, language = locales.DEFAULT_LANGUAGE, topic = null }) {
+    purgeExpired();
+
+    const now = Date.now();
+    const modeId = gameModes.isMode(mode) ? mode : gameModes.DEFAULT_MODE;
+    const session = {
+        id: crypto.randomUUID(),
+        userId: userId,
+        grade: grade,
+        subject: subject,
+        difficulty: PHYSICS.BASE_SPEED[difficulty] ? difficulty : 'easy',
+        gameSpeed: Math.min(PHYSICS.MAX_GAME_SPEED, Math.max(PHYSICS.MIN_GAME_SPEED, Number(gameSpeed) || 1)),
+        // Question id -> answer key (type, answer, tolerance...), see questionTypes.toAnswerKey
+        answerKey: new Map(questions.map(q => [q.id, questionTypes.toAnswerKey(q)])),
+        answers: [],
+        hintedQuestions: new Set(),
+        live: live,
+        assignment: assignment,
+        // Seed for the client's pipe/question PRNG, so runs can be compared and replayed
+        seed: Number.isInteger(seed) ? seed >>> 0 : crypto.randomBytes(4).readUInt32LE(0),
+        challenge: challenge,
+        questionTimer: Boolean(questionTimer),
+        mode: modeId,
+        livesLeft: gameModes.getMode(modeId).lives,
+        level: level,
+        approvedOnly: Boolean(approvedOnly),
+        // Endless games fetch their extra questions in the language and curriculum topic the game started with
+        language: locales.isLanguage(language) ? language : locales.DEFAULT_LANGUAGE,
+        topic: topic,
+        flags: [],
+        status: 'active',
+        startedAt: now,
+        expiresAt: now + SESSION_TTL_MS
+    };
+    sessions.set(session.id, session);
+
+    const token = signPayload({ sid: session.id, uid: userId, iat: now });
+    return { session, token };
+}
+
+// Streamed games get their questions after the session starts
+function addQuestions(session, questions) {
+    for (const q of questions) {
+        session.answerKey.set(q.id, questionTypes.toAnswerKey(q));
+    }
+}
+
+// Fastest the world can scroll for this session, in pixels per frame
+function maxSpeed(session) {
+    return PHYSICS.BASE_SPEED[session.difficulty] * session.gameSpeed;
+}
+
+// Shortest play time (ms) before the n-th question can appear: a question needs 5 new pipes
+// (practice games have no pipes, their questions come one after another)
+function minQuestionTime(session, n) {
+    if (!gameModes.getMode(session.mode).pipes) return 0;
+    const spawnFrames = PHYSICS.PIPE_SPAWN_DISTANCE / maxSpeed(session);
+    return n * PHYSICS.PIPES_BETWEEN_QUESTIONS * spawnFrames * PHYSICS.FRAME_MS * (1 - TOLERANCE);
+}
+
+// Countdown length for this session, or null when answers are untimed
+function questionTimeLimit(session) {
+    return session.questionTimer ? PHYSICS.QUESTION_TIME_MS[session.difficulty] : null;
+}
+
+/**
+ * Bonus for a correct timed answer. The answer time is measured by the client (the server doesn't
+ * see the question appear), so it's only clamped here; the bonus is capped at MAX_SPEED_BONUS anyway.
+ */
+function speedBonus(session, timeMs) {
+    const limit = questionTimeLimit(session);
+    if (!limit || !gameModes.getMode(session.mode).speedBonus) return 0;
+    const used = Math.min(Math.max(Number(timeMs) || 0, 0), limit);
+    return Math.round(MAX_SPEED_BONUS * (1 - used / limit));
+}
+
+// Grade one answer; a wrong answer costs a life and the run ends without lives left
+// (modes without lives keep going). `answer` is null when the countdown ran out.
+// Returns the answer in its canonical form (letters upper-cased, numbers parsed) for the caller to store
+function checkAnswer(session, questionId, answer, timeMs = null) {
+    if (session.status !== 'active') return { error: 'This game is already over', status: 409 };
+    if (!session.answerKey.has(questionId)) return { error: 'Question is not part of this game', status: 400 };
+    if (session.answers.some(a => a.questionId === questionId)) return { error: 'Question already answered', status: 409 };
+
+    const now = Date.now();
+    const number = session.answers.length + 1;
+    if (now - session.startedAt < minQuestionTime(session, number)) {
+        session.flags.push(`Question ${number} answered too early`);
+    }
+
+    const key = session.answerKey.get(questionId);
+    const given = answer === null ? null : questionTypes.normalizeAnswer(key.type, answer);
+    const limit = questionTimeLimit(session);
+    const timedOut = given === null || (limit !== null && Number(timeMs) > limit);
+    const correct = !timedOut && questionTypes.isCorrect(key, given);
+    const bonus = correct ? speedBonus(session, timeMs) : 0;
+    session.answers.push({ questionId, answer: given, correct, bonus, at: now });
+    if (!correct && session.livesLeft !== null) {
+        session.livesLeft--;
+        if (session.livesLeft <= 0) session.status = 'over';
+    }
+
+    return { correct, correctAnswer: key.answer, answer: given, bonus, timedOut, livesLeft: session.livesLeft };
+}
+
+// Same PRNG as the game client (mulberry32)
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Hint for the question's type, e.g. two wrong options to disable (the client never learns the answer early).
+// Seeded by the game and question, so a daily challenge hint is the same for everyone
+function useHint(session, questionId) {
+    if (session.status !== 'active') return { error: 'This game is already over', status: 409 };
+    if (gameModes.getMode(session.mode).hints === 'none') return { error: 'Hints are disabled in this game mode', status: 400 };
+    if (!session.answerKey.has(questionId)) return { error: 'Question is not part of this game', status: 400 };
+    if (session.hintedQuestions.has(questionId)) return { error: 'Hint already used for this question', status: 409 };
+
+    const random = createSeededRandom(
+        crypto.createHash('sha256').update(`${session.seed}:${questionId}`).digest().readUInt32LE(0)
+    );
+    const hint = questionTypes.hint(session.answerKey.get(questionId), random);
+    if (!hint) return { error: 'This question type has no hint', status: 400 };
+
+    session.hintedQuestions.add(questionId);
+    return { hint };
+}
+
+// ========== RUN VALIDATION ==========
+
+// Longest the bird can stay in the air between two flaps: flap to the top of the screen, then fall to the ground
+function maxAirtimeMs() {
+    const riseFrames = -PHYSICS.JUMP_VELOCITY_BASE / PHYSICS.GRAVITY;
+    const fallHeight = PHYSICS.HEIGHT - PHYSICS.BASE_HEIGHT - PHYSICS.BIRD_HEIGHT;
+    const fallFrames = Math.sqrt(2 * fallHeight / PHYSICS.GRAVITY);
+    return (riseFrames + fallFrames) * PHYSICS.FRAME_MS;
+}
+
+// Power-ups a run can earn from its answers: one per POWER_UPS.STREAK correct answers in a row
+function streakPowerUps(answers) {
+    let streak = 0;
+    let earned = 0;
+    for (const a of answers) {
+        streak = a.correct ? streak + 1 : 0;
+        if (streak > 0 && streak % POWER_UPS.STREAK === 0) earned++;
+    }
+    return earned;
+}
+
+// Pipe points with the score multiplier: each multiplier power-up doubles the next few pipes
+function pipePoints(events, pointsPerPipe) {
+    let multiplierPipes = 0;
+    let points = 0;
+    for (const e of events) {
+        if (e.type === 'powerup' && e.kind === 'multiplier') multiplierPipes = POWER_UPS.MULTIPLIER_PIPES;
+        if (e.type !== 'pipe') continue;
+        points += pointsPerPipe * (multiplierPipes > 0 ? POWER_UPS.MULTIPLIER : 1);
+        if (multiplierPipes > 0) multiplierPipes--;
+    }
+    return points;
+}
+
+/**
+ * Check a submitted run log against the session and the game physics.
+ * runLog = { duration, events: [{ type: 'flap' | 'pipe' | 'question' | 'powerup' | 'shield', t, questionId?, kind?, source? }] }
+ * where t is play time in ms (pauses and question screens excluded). `powerup` = a power-up was
+ * picked up or earned with an answer streak, `shield` = the shield absorbed a collision (the bird bounces, like a flap).
+ * Returns { score, pipes, correctAnswers, reasons } - the run is valid when reasons is empty.
+ */
+function validateRun(session, runLog) {
+    const reasons = [...session.flags];
+    const events = runLog && Array.isArray(runLog.events) ? runLog.events : null;
+    const duration = runLog ? Number(runLog.duration) : NaN;
+
+    if (!events || !Number.isFinite(duration) || duration < 0) {
+        return { score: 0, pipes: 0, correctAnswers: 0, reasons: ['Missing or malformed run log'] };
+    }
+
+    // Events must be in order and inside the run
+    let last = 0;
+    for (const e of events) {
+        const t = Number(e && e.t);
+        if (!e || !['flap', 'pipe', 'question', 'powerup', 'shield'].includes(e.type) || !Number.isFinite(t) || t < last || t > duration + 1) {
+            reasons.push('Run log events are out of order or malformed');
+            break;
+        }
+        last = t;
+    }
+
+    // Play time can't be longer than the real time since the game started
+    const elapsed = Date.now() - session.startedAt;
+    if (duration > elapsed * (1 + TOLERANCE) + 1000) {
+        reasons.push('Run is longer than the time since the game started');
+    }
+
+    const mode = gameModes.getMode(session.mode);
+
+    // Pipes come at most one per spawn distance; the first one also has to cross the screen
+    const speed = maxSpeed(session);
+    const spawnMs = PHYSICS.PIPE_SPAWN_DISTANCE / speed * PHYSICS.FRAME_MS;
+    const firstPipeMs = (PHYSICS.PIPE_SPAWN_DISTANCE + PHYSICS.WIDTH - (PHYSICS.BIRD_X - PHYSICS.PIPE_WIDTH / 2)) / speed * PHYSICS.FRAME_MS;
+    const pipeTimes = events.filter(e => e.type === 'pipe').map(e => Number(e.t));
+
+    if (!mode.pipes && pipeTimes.length > 0) {
+        reasons.push('Practice games have no pipes');
+    }
+    if (pipeTimes.length > 0 && pipeTimes[0] < firstPipeMs * (1 - TOLERANCE)) {
+        reasons.push('First pipe passed too early');
+    }
+    for (let i = 1; i < pipeTimes.length; i++) {
+        if (pipeTimes[i] - pipeTimes[i - 1] < spawnMs * (1 - TOLERANCE)) {
+            reasons.push(`Pipe ${i + 1} passed too soon after the previous one`);
+            break;
+        }
+    }
+
+    // Power-ups: known kinds only, pickups spawn at most one per few pipes, streak rewards need the answers to back them
+    const powerUps = events.filter(e => e.type === 'powerup');
+    if (powerUps.some(e => !POWER_UPS.KINDS.includes(e.kind) || !POWER_UPS.SOURCES.includes(e.source))) {
+        reasons.push('Unknown power-up in the run log');
+    }
+    if (!mode.pipes && powerUps.length > 0) {
+        reasons.push('Practice games have no power-ups');
+    }
+    const pickupTimes = powerUps.filter(e => e.source === 'pickup').map(e => Number(e.t));
+    for (let i = 1; i < pickupTimes.length; i++) {
+        if (pickupTimes[i] - pickupTimes[i - 1] < POWER_UPS.MIN_PIPES_BETWEEN * spawnMs * (1 - TOLERANCE)) {
+            reasons.push('Power-ups picked up too close together');
+            break;
+        }
+    }
+    if (powerUps.filter(e => e.source === 'streak').length > streakPowerUps(session.answers)) {
+        reasons.push('More streak power-ups than correct answer streaks');
+    }
+
+    // Every shield bounce uses up a shield collected before it
+    let shields = 0;
+    for (const e of events) {
+        if (e.type === 'powerup' && e.kind === 'shield') shields = 1;
+        if (e.type !== 'shield') continue;
+        if (shields === 0) {
+            reasons.push('Shield used without a shield power-up');
+            break;
+        }
+        shields = 0;
+    }
+
+    // Gravity: the bird can't stay up longer than its maximum airtime without flapping (it doesn't fly in practice games);
+    // a shield bounce off the ground counts as a flap
+    const flapTimes = [0, ...events.filter(e => e.type === 'flap' || e.type === 'shield').map(e => Number(e.t)), duration];
+    const airtime = maxAirtimeMs() * (1 + TOLERANCE);
+    for (let i = 1; mode.pipes && i < flapTimes.length; i++) {
+        if (flapTimes[i] - flapTimes[i - 1] > airtime) {
+            reasons.push('Bird stayed in the air too long without flapping');
+            break;
+        }
+    }
+
+    // Questions answered on the server must show up in the log, no earlier than the pipes allow
+    const questionEvents = events.filter(e => e.type === 'question');
+    session.answers.forEach((a, index) => {
+        const event = questionEvents.find(e => e.questionId === a.questionId);
+        if (!event) {
+            reasons.push('Answered question missing from the run log');
+        } else if (Number(event.t) < minQuestionTime(session, index + 1)) {
+            reasons.push(`Question ${index + 1} appeared too early`);
+        }
+    });
+
+    const correctAnswers = session.answers.filter(a => a.correct).length;
+    const speedBonuses = session.answers.reduce((sum, a) => sum + a.bonus, 0);
+    const pipes = pipeTimes.length;
+    const score = pipePoints(events, mode.points.pipe) + correctAnswers * mode.points.correct + speedBonuses;
+
+    const hintPowerUps = powerUps.filter(e => e.kind === 'hint').length;
+    if (mode.hints === 'earned' && session.hintedQuestions.size > Math.floor(score / POINTS_PER_HINT) + hintPowerUps) {
+        reasons.push('More hints used than the score allows');
+    }
+
+    return { score, pipes, correctAnswers, reasons: [...new Set(reasons)] };
+}
+
+function finishSession(session) {
+    session.status = 'finished';
+    session.finishedAt = Date.now();
+}
+
+module.exports = {
+    PHYSICS,
+    POWER_UPS,
+    createSession,
+    addQuestions,
+    getSession,
+    checkAnswer,
+    useHint,
+    validateRun,
+    finishSession
+};
@@ -0,0 +1,92 @@
+// leaderboard.js - Bảng xếp hạng điểm theo lớp / môn / độ khó cho Flappy Brain backend
+const crypto = require('crypto');
+const db = require('./db');
+const gameModes = require('./gameModes');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const PERIODS = ['week', 'all'];
+
+function normalizeSubject(subject) {
+    return String(subject || '').trim().toLowerCase();
+}
+
+// Monday 00:00 of the current week (server time)
+function startOfWeek(now = new Date()) {
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+}
+
+// Store one finished game with the settings it was played on (`challenge` = daily challenge date)
+function recordScore(user, { score, grade, subject, difficulty, challenge = null, gameMode = gameModes.DEFAULT_MODE }) {
+    const entry = {
+        id: crypto.randomUUID(),
+        userId: user.id,
+        username: user.username,
+        score: score,
+        grade: grade,
+        subjectKey: normalizeSubject(subject),
+        subject: subject,
+        difficulty: difficulty,
+        challenge: challenge,
+        gameMode: gameMode,
+        createdAt: new Date().toISOString()
+    };
+
+    db.collection('scores').push(entry);
+    db.save();
+    return entry;
+}
+
+// Best score per player matching the filters, highest first (earlier score wins ties).
+// Modes score differently, so every mode has its own rankings; scores stored before modes existed are classic
+function getRankings({ grade, subject, difficulty, period = 'all', challenge = null, gameMode = gameModes.DEFAULT_MODE } = {}) {
+    const subjectKey = subject ? normalizeSubject(subject) : null;
+    const since = period === 'week' ? startOfWeek().toISOString() : null;
+    const best = new Map();
+
+    for (const s of db.collection('scores')) {
+        if (grade && s.grade !== grade) continue;
+        if (subjectKey && s.subjectKey !== subjectKey) continue;
+        if (difficulty && s.difficulty !== difficulty) continue;
+        if (since && s.createdAt < since) continue;
+        if (challenge && s.challenge !== challenge) continue;
+        if ((s.gameMode || gameModes.DEFAULT_MODE) !== gameMode) continue;
+
+        const current = best.get(s.userId);
+        if (!current || s.score > current.score || (s.score === current.score && s.createdAt < current.createdAt)) {
+            best.set(s.userId, s);
+        }
+    }
+
+    return [...best.values()]
+        .sort((a, b) => b.score - a.score || a.createdAt.localeCompare(b.createdAt))
+        .map((s, index) => toLeaderboardEntry(s, index + 1));
+}
+
+function toLeaderboardEntry(s, rank) {
+    return {
+        rank: rank,
+        userId: s.userId,
+        username: s.username,
+        score: s.score,
+        grade: s.grade,
+        subject: s.subject,
+        difficulty: s.difficulty,
+        gameMode: s.gameMode || gameModes.DEFAULT_MODE,
+        playedAt: s.createdAt
+    };
+}
+
+function removeUserScores(userId) {
+    return db.remove('scores', s => s.userId === userId);
+}
+
+module.exports = {
+    DIFFICULTIES,
+    PERIODS,
+    recordScore,
+    getRankings,
+    removeUserScores
+};
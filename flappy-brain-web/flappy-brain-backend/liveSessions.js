@@ -0,0 +1,205 @@
+// liveSessions.js - Quiz trực tiếp trên lớp: giáo viên tạo mã, học sinh chơi cùng một bộ câu hỏi, kết quả theo từng câu
+const crypto = require('crypto');
+const db = require('./db');
+const questionBank = require('./questionBank');
+
+// No 0/O or 1/I so codes are easy to copy from the board
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_NAME_LENGTH = 30;
+
+function createCode() {
+    const taken = new Set(db.collection('liveSessions').filter(s => s.status === 'open').map(s => s.code));
+    let code;
+    do {
+        code = Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    } while (taken.has(code));
+    return code;
+}
+
+// The question list is fixed when the session is created: every student gets the same questions in the same order
+function createLiveSession(teacher, { title, grade, subject, questions }) {
+    const live = {
+        id: crypto.randomUUID(),
+        code: createCode(),
+        title: title || `Lớp ${grade} - ${subject === 'all' ? 'Tất cả môn' : subject}`,
+        teacherId: teacher.id,
+        teacherName: teacher.username,
+        grade: grade,
+        subject: subject,
+        questionIds: questions.map(q => q.id),
+        status: 'open',
+        participants: [],
+        responses: [],
+        createdAt: new Date().toISOString(),
+        closedAt: null
+    };
+
+    db.collection('liveSessions').push(live);
+    db.save();
+    return live;
+}
+
+// Students join by code; codes are only unique among open sessions
+function findOpenByCode(code) {
+    const key = String(code || '').trim().toUpperCase();
+    return db.collection('liveSessions').find(s => s.code === key && s.status === 'open') || null;
+}
+
+function getLiveSession(id) {
+    return db.collection('liveSessions').find(s => s.id === id) || null;
+}
+
+function listForTeacher(user) {
+    return db.collection('liveSessions')
+        .filter(s => user.role === 'admin' || s.teacherId === user.id)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function canManage(user, live) {
+    return user.role === 'admin' || live.teacherId === user.id;
+}
+
+// Questions in session order (deleted bank questions are skipped)
+function getQuestions(live) {
+    return live.questionIds.map(id => questionBank.getQuestion(id)).filter(Boolean);
+}
+
+/**
+ * Add a student to the session. Logged-in students (or anyone sending back their participantId)
+ * rejoin as the same participant, so a second attempt doesn't show up as a new row.
+ */
+function join(live, { user = null, name, participantId = null }) {
+    let participant = live.participants.find(p =>
+        (user && p.userId === user.id) || (participantId && p.id === participantId)
+    );
+
+    if (!participant) {
+        participant = {
+            id: crypto.randomUUID(),
+            userId: user ? user.id : null,
+            name: String(user ? user.username : name).trim().slice(0, MAX_NAME_LENGTH),
+            joinedAt: new Date().toISOString(),
+            attempts: 0
+        };
+        live.participants.push(participant);
+    }
+
+    participant.attempts++;
+    db.save();
+    return participant;
+}
+
+// First answer per student and question counts; later attempts don't overwrite it.
+// `answer` is already in its canonical form (see gameSessions.checkAnswer); null means the student ran out of time
+function recordResponse(live, participantId, questionId, answer, correct) {
+    if (live.status !== 'open') return null;
+    if (live.responses.some(r => r.participantId === participantId && r.questionId === questionId)) return null;
+
+    const response = {
+        participantId,
+        questionId,
+        answer: answer === null ? null : String(answer),
+        correct: Boolean(correct),
+        answeredAt: new Date().toISOString()
+    };
+    live.responses.push(response);
+    db.save();
+    return response;
+}
+
+function close(live) {
+    live.status = 'closed';
+    live.closedAt = new Date().toISOString();
+    db.save();
+    return live;
+}
+
+/**
+ * Dashboard data: one entry per question (how many answered / got it right)
+ * and one row per student with their answer to each question.
+ */
+function getResults(live) {
+    const questions = getQuestions(live);
+
+    const students = live.participants.map(p => {
+        const answers = {};
+        for (const r of live.responses) {
+            if (r.participantId === p.id) answers[r.questionId] = { answer: r.answer, correct: r.correct };
+        }
+        const given = Object.values(answers);
+        return {
+            participantId: p.id,
+            name: p.name,
+            joinedAt: p.joinedAt,
+            attempts: p.attempts,
+            answered: given.length,
+            correct: given.filter(a => a.correct).length,
+            answers: answers
+        };
+    });
+
+    return {
+        questions: questions.map((q, index) => {
+            const responses = live.responses.filter(r => r.questionId === q.id);
+            return {
+                number: index + 1,
+                id: q.id,
+                subject: q.subject,
+                text: q.text,
+                answer: q.answer,
+                answered: responses.length,
+                correct: responses.filter(r => r.correct).length
+            };
+        }),
+        students: students
+    };
+}
+
+// Rows for the CSV export: answer key first, then one row per student (empty cell = not answered yet)
+function toResultRows(live) {
+    const { questions, students } = getResults(live);
+
+    const header = ['student', ...questions.map(q => `Q${q.number}`), 'correct', 'answered'];
+    const key = ['answer key', ...questions.map(q => q.answer), questions.length, questions.length];
+    const rows = students.map(s => [
+        s.name,
+        ...questions.map(q => s.answers[q.id] ? s.answers[q.id].answer || 'timeout' : ''),
+        s.correct,
+        s.answered
+    ]);
+
+    return [header, key, ...rows];
+}
+
+// Summary for lists and for students joining (no responses, no answer key)
+function toSummary(live) {
+    return {
+        id: live.id,
+        code: live.code,
+        title: live.title,
+        teacherName: live.teacherName,
+        grade: live.grade,
+        subject: live.subject,
+        questionCount: live.questionIds.length,
+        participantCount: live.participants.length,
+        status: live.status,
+        createdAt: live.createdAt,
+        closedAt: live.closedAt
+    };
+}
+
+module.exports = {
+    createLiveSession,
+    findOpenByCode,
+    getLiveSession,
+    listForTeacher,
+    canManage,
+    getQuestions,
+    join,
+    recordResponse,
+    close,
+    getResults,
+    toResultRows,
+    toSummary
+};
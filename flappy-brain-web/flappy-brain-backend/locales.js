@@ -0,0 +1,47 @@
+// locales.js - Ngôn ngữ của game: đọc các tệp locales/*.json (dùng chung với giao diện) cho câu hỏi và lời giải thích
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LANGUAGE = 'vi';
+const LOCALES_DIR = path.join(__dirname, 'locales');
+
+// Language code -> texts of locales/<code>.json; the server only uses their "server" section
+const locales = {};
+for (const file of fs.readdirSync(LOCALES_DIR).filter(f => f.endsWith('.json'))) {
+    locales[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+}
+
+const LANGUAGES = Object.keys(locales);
+
+function isLanguage(code) {
+    return LANGUAGES.includes(code);
+}
+
+// Bank questions stored before languages existed are Vietnamese
+function getLanguage(q) {
+    return q.language || DEFAULT_LANGUAGE;
+}
+
+// Language of a request from its Accept-Language header ("en-US,en;q=0.9"): the first one the game has
+function fromAcceptLanguage(header) {
+    const codes = String(header || '').split(',').map(part => part.split(';')[0].trim().toLowerCase().split('-')[0]);
+    return codes.find(isLanguage) || DEFAULT_LANGUAGE;
+}
+
+// Server text by key with {name} filled from params; keys missing in a language fall back to Vietnamese
+function translate(language, key, params = {}) {
+    const lookup = code => (locales[code] && locales[code].server || {})[key];
+    const value = lookup(isLanguage(language) ? language : DEFAULT_LANGUAGE);
+    const text = value !== undefined ? value : lookup(DEFAULT_LANGUAGE);
+    if (typeof text !== 'string') return text === undefined ? key : text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    isLanguage,
+    getLanguage,
+    fromAcceptLanguage,
+    translate
+};
@@ -0,0 +1,435 @@
+// multiplayer.js - Chế độ đua nhiều người qua WebSocket: phòng theo mã, cùng đường ống, cùng câu hỏi cùng lúc
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const questionTypes = require('./questionTypes');
+const locales = require('./locales');
+
+const MAX_PLAYERS = 8;
+const COUNTDOWN_MS = 3000;
+const QUESTIONS_PER_RACE = 5;
+// Flying time between two questions, then the time everyone gets to answer
+const QUESTION_EVERY_MS = 15000;
+const ANSWER_TIME_MS = 15000;
+// Ghost positions are relayed at most this often per player
+const STATE_INTERVAL_MS = 50;
+const HEARTBEAT_MS = 30000;
+const MAX_NAME_LENGTH = 20;
+
+// No 0/O or 1/I so codes are easy to read out loud in class
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const rooms = new Map();
+
+// ========== ROOMS ==========
+
+function createRoomCode() {
+    let code;
+    do {
+        code = Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    } while (rooms.has(code));
+    return code;
+}
+
+function createRoom(host, { grade, subject, difficulty, gameSpeed }) {
+    const room = {
+        code: createRoomCode(),
+        hostId: host.id,
+        grade: grade,
+        subject: subject || 'all',
+        difficulty: DIFFICULTIES.includes(difficulty) ? difficulty : 'easy',
+        gameSpeed: Math.min(2, Math.max(0.5, Number(gameSpeed) || 1)),
+        players: new Map(),
+        status: 'lobby',
+        seed: null,
+        questions: [],
+        questionIndex: -1,
+        answers: new Map(),
+        timer: null
+    };
+    rooms.set(room.code, room);
+    return room;
+}
+
+function joinRoom(player, room) {
+    player.room = room;
+    player.alive = true;
+    player.score = 0;
+    player.correct = 0;
+    room.players.set(player.id, player);
+    broadcastRoom(room);
+}
+
+function leaveRoom(player) {
+    const room = player.room;
+    if (!room) return;
+
+    room.players.delete(player.id);
+    player.room = null;
+
+    if (room.players.size === 0) {
+        clearTimeout(room.timer);
+        rooms.delete(room.code);
+        return;
+    }
+
+    if (room.hostId === player.id) {
+        room.hostId = room.players.keys().next().value;
+    }
+
+    // Leaving mid-race counts as crashing
+    if (['racing', 'question'].includes(room.status) && player.alive) {
+        broadcast(room, { type: 'playerOut', id: player.id, score: player.score });
+        if (room.status === 'question') maybeEndQuestion(room);
+        if (alivePlayers(room).length === 0) finishRace(room);
+    }
+    broadcastRoom(room);
+}
+
+function alivePlayers(room) {
+    return [...room.players.values()].filter(p => p.alive);
+}
+
+function toRoomState(room) {
+    return {
+        code: room.code,
+        hostId: room.hostId,
+        grade: room.grade,
+        subject: room.subject,
+        difficulty: room.difficulty,
+        gameSpeed: room.gameSpeed,
+        status: room.status,
+        maxPlayers: MAX_PLAYERS,
+        players: [...room.players.values()].map(p => ({ id: p.id, name: p.name, alive: p.alive }))
+    };
+}
+
+// ========== RACE ==========
+
+async function startRace(room, getQuestions) {
+    room.status = 'countdown';
+    broadcastRoom(room);
+
+    let questions;
+    try {
+        questions = await getQuestions(room.grade, room.subject, QUESTIONS_PER_RACE);
+    } catch (error) {
+        console.error('⚠️ Race questions failed:', error.message);
+        questions = [];
+    }
+
+    // Everyone may have left while the questions were loading
+    if (!rooms.has(room.code)) return;
+
+    if (questions.length === 0) {
+        room.status = 'lobby';
+        for (const p of room.players.values()) sendError(p, 'raceQuestionsFailed');
+        broadcastRoom(room);
+        return;
+    }
+
+    room.questions = questions;
+    room.questionIndex = -1;
+    room.seed = crypto.randomBytes(4).readUInt32BE(0);
+    for (const p of room.players.values()) {
+        p.alive = true;
+        p.score = 0;
+        p.correct = 0;
+    }
+
+    // Same seed = same pipes for everyone; the race starts for all clients after the countdown
+    broadcast(room, {
+        type: 'countdown',
+        seed: room.seed,
+        startsIn: COUNTDOWN_MS,
+        difficulty: room.difficulty,
+        gameSpeed: room.gameSpeed,
+        totalQuestions: questions.length,
+        players: toRoomState(room).players
+    });
+
+    room.timer = setTimeout(() => {
+        room.status = 'racing';
+        console.log(`🏁 Race ${room.code} started with ${room.players.size} players`);
+        scheduleNextQuestion(room);
+    }, COUNTDOWN_MS);
+}
+
+function scheduleNextQuestion(room) {
+    clearTimeout(room.timer);
+    // After the last question there is one more stretch of flying before the finish
+    const next = room.questionIndex + 1 < room.questions.length ? askQuestion : finishRace;
+    room.timer = setTimeout(() => next(room), QUESTION_EVERY_MS);
+}
+
+// Every player gets the same question at the same moment; their games pause until the round ends
+function askQuestion(room) {
+    room.status = 'question';
+    room.questionIndex++;
+    room.answers = new Map();
+
+    const q = room.questions[room.questionIndex];
+    broadcast(room, {
+        type: 'question',
+        index: room.questionIndex,
+        total: room.questions.length,
+        timeLimit: ANSWER_TIME_MS,
+        question: {
+            id: q.id,
+            subject: q.subject,
+            text: q.text,
+            type: questionTypes.getType(q),
+            options: q.options || []
+        }
+    });
+
+    clearTimeout(room.timer);
+    room.timer = setTimeout(() => endQuestion(room), ANSWER_TIME_MS);
+}
+
+function answerQuestion(player, { questionId, answer }) {
+    const room = player.room;
+    const q = room.questions[room.questionIndex];
+
+    if (room.status !== 'question' || !q || q.id !== questionId) {
+        return sendError(player, 'raceQuestionOver');
+    }
+    if (!player.alive || room.answers.has(player.id)) return;
+
+    const correct = questionTypes.isCorrect(q, answer);
+    room.answers.set(player.id, correct);
+    if (correct) player.correct++;
+
+    send(player, { type: 'answerResult', questionId: q.id, correct: correct, correctAnswer: q.answer });
+    maybeEndQuestion(room);
+}
+
+// The round ends early once every player still in the race has answered
+function maybeEndQuestion(room) {
+    if (alivePlayers(room).every(p => room.answers.has(p.id))) {
+        endQuestion(room);
+    }
+}
+
+// Wrong or missing answers knock players out, like in single player; everyone else resumes together
+function endQuestion(room) {
+    if (room.status !== 'question') return;
+    clearTimeout(room.timer);
+
+    const q = room.questions[room.questionIndex];
+    for (const p of room.players.values()) {
+        if (p.alive && !room.answers.get(p.id)) p.alive = false;
+    }
+
+    room.status = 'racing';
+    broadcast(room, {
+        type: 'questionResult',
+        questionId: q.id,
+        correctAnswer: q.answer,
+        players: [...room.players.values()].map(p => ({ id: p.id, correct: room.answers.get(p.id) === true, alive: p.alive }))
+    });
+
+    if (alivePlayers(room).length === 0) {
+        finishRace(room);
+    } else {
+        scheduleNextQuestion(room);
+    }
+}
+
+function updateState(player, { y, score }) {
+    const room = player.room;
+    if (!['racing', 'question'].includes(room.status) || !player.alive) return;
+
+    const now = Date.now();
+    if (now - (player.lastStateAt || 0) < STATE_INTERVAL_MS) return;
+    player.lastStateAt = now;
+
+    if (Number.isFinite(Number(score))) player.score = Math.max(0, Math.floor(Number(score)));
+    broadcast(room, { type: 'ghost', id: player.id, y: Number(y) || 0, score: player.score }, player.id);
+}
+
+function crash(player, { score }) {
+    const room = player.room;
+    if (!['racing', 'question'].includes(room.status) || !player.alive) return;
+
+    player.alive = false;
+    if (Number.isFinite(Number(score))) player.score = Math.max(0, Math.floor(Number(score)));
+    broadcast(room, { type: 'playerOut', id: player.id, score: player.score });
+
+    if (room.status === 'question') maybeEndQuestion(room);
+    if (alivePlayers(room).length === 0) finishRace(room);
+}
+
+// Ranking: highest score first, players who made it to the finish win ties; then back to the lobby for a rematch
+function finishRace(room) {
+    if (room.status === 'lobby') return;
+    clearTimeout(room.timer);
+
+    const ranking = [...room.players.values()]
+        .sort((a, b) => b.score - a.score || Number(b.alive) - Number(a.alive))
+        .map((p, index) => ({
+            rank: index + 1,
+            id: p.id,
+            name: p.name,
+            score: p.score,
+            correct: p.correct,
+            finished: p.alive
+        }));
+
+    console.log(`🏆 Race ${room.code} finished: ${ranking.map(r => `${r.name} ${r.score}`).join(', ')}`);
+    broadcast(room, { type: 'results', ranking: ranking });
+
+    room.status = 'lobby';
+    room.questions = [];
+    room.questionIndex = -1;
+    for (const p of room.players.values()) p.alive = true;
+    broadcastRoom(room);
+}
+
+// ========== MESSAGES ==========
+
+function send(player, message) {
+    if (player.socket.readyState === WebSocket.OPEN) {
+        player.socket.send(JSON.stringify(message));
+    }
+}
+
+// Errors are shown to the player as is, so they are in the player's language (locales.js)
+function sendError(player, key, params) {
+    send(player, { type: 'error', error: locales.translate(player.language, key, params) });
+}
+
+function broadcast(room, message, exceptId = null) {
+    for (const p of room.players.values()) {
+        if (p.id !== exceptId) send(p, message);
+    }
+}
+
+function broadcastRoom(room) {
+    broadcast(room, { type: 'room', room: toRoomState(room) });
+}
+
+function cleanName(name, fallback) {
+    const clean = String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+    return clean || fallback;
+}
+
+// Logged-in players race under their username; guests pick a name
+function identify(player, { token, name }, authenticate) {
+    const user = token ? authenticate(token) : null;
+    player.userId = user ? user.id : null;
+    player.name = user ? user.username : cleanName(name, `Player ${player.id.slice(0, 4)}`);
+}
+
+function handleMessage(player, message, options) {
+    const room = player.room;
+    // The game sends its language setting with create/join, it may change between races
+    if (locales.isLanguage(message.language)) player.language = message.language;
+
+    switch (message.type) {
+        case 'create': {
+            const grade = parseInt(message.grade);
+            if (!Number.isInteger(grade) || grade < 6 || grade > 12) {
+                return sendError(player, 'raceInvalidGrade');
+            }
+            leaveRoom(player);
+            identify(player, message, options.authenticate);
+            const created = createRoom(player, { ...message, grade });
+            console.log(`🏁 Race room ${created.code} created by ${player.name}`);
+            return joinRoom(player, created);
+        }
+        case 'join': {
+            const target = rooms.get(String(message.code || '').trim().toUpperCase());
+            if (!target) return sendError(player, 'raceRoomNotFound');
+            if (target.status !== 'lobby') return sendError(player, 'raceAlreadyStarted');
+            if (target.players.size >= MAX_PLAYERS) return sendError(player, 'raceRoomFull');
+            if (target === room) return broadcastRoom(room);
+            leaveRoom(player);
+            identify(player, message, options.authenticate);
+            return joinRoom(player, target);
+        }
+        case 'leave':
+            return leaveRoom(player);
+    }
+
+    if (!room) return sendError(player, 'raceNotInRoom');
+
+    switch (message.type) {
+        case 'start':
+            if (room.hostId !== player.id) return sendError(player, 'raceHostOnly');
+            if (room.status !== 'lobby') return;
+            return startRace(room, options.getQuestions);
+        case 'state':
+            return updateState(player, message);
+        case 'answer':
+            return answerQuestion(player, message);
+        case 'crash':
+            return crash(player, message);
+        default:
+            return sendError(player, 'raceUnknownMessage', { type: message.type });
+    }
+}
+
+/**
+ * Attach the race WebSocket server to the HTTP server.
+ * options.authenticate(token) -> user or null
+ * options.getQuestions(grade, subject, num) -> Promise of stored questions (with answers)
+ */
+function attach(server, options) {
+    const wss = new WebSocketServer({ server, path: options.path || '/ws/race' });
+
+    wss.on('connection', (socket, request) => {
+        const player = {
+            id: crypto.randomUUID(),
+            socket: socket,
+            name: null,
+            userId: null,
+            room: null,
+            // Until the first create/join says otherwise
+            language: locales.fromAcceptLanguage(request.headers['accept-language']),
+            responsive: true
+        };
+
+        socket.on('pong', () => { player.responsive = true; });
+        socket.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                return sendError(player, 'raceInvalidJson');
+            }
+            if (!message || typeof message.type !== 'string') {
+                return sendError(player, 'raceMissingType');
+            }
+            handleMessage(player, message, options);
+        });
+        socket.on('close', () => leaveRoom(player));
+        socket.on('error', error => console.error('⚠️ Race socket error:', error.message));
+
+        send(player, { type: 'welcome', id: player.id });
+        socket.player = player;
+    });
+
+    // Drop connections that stopped answering pings (closed laptops, lost Wi-Fi)
+    const heartbeat = setInterval(() => {
+        for (const socket of wss.clients) {
+            if (socket.player && !socket.player.responsive) {
+                socket.terminate();
+                continue;
+            }
+            if (socket.player) socket.player.responsive = false;
+            socket.ping();
+        }
+    }, HEARTBEAT_MS);
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+}
+
+module.exports = {
+    MAX_PLAYERS,
+    QUESTIONS_PER_RACE,
+    attach
+};
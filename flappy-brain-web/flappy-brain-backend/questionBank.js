@@ -0,0 +1,289 @@
+// questionBank.js - Ngân hàng câu hỏi lưu trữ theo lớp/môn cho Flappy Brain backend
+const crypto = require('crypto');
+const db = require('./db');
+const questionTypes = require('./questionTypes');
+const locales = require('./locales');
+const curriculum = require('./curriculum');
+
+// Normalized question text used for duplicate detection
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFC')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function normalizeSubject(subject) {
+    return String(subject || '').trim().toLowerCase();
+}
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const LEVELS = ['easy', 'medium', 'hard'];
+
+// Same rules parseAIResponse applies: subject, text, then the options and answer of the question type
+function validateQuestion(q) {
+    if (!q || typeof q !== 'object') return 'Question must be an object';
+    if (!q.subject || typeof q.subject !== 'string') return 'Missing subject';
+    if (!q.text || typeof q.text !== 'string') return 'Missing question text';
+    if (q.level !== undefined && !LEVELS.includes(q.level)) return 'Level must be "easy", "medium" or "hard"';
+    if (q.language !== undefined && !locales.isLanguage(q.language)) return `Language must be one of: ${locales.LANGUAGES.join(', ')}`;
+    if (q.topic !== undefined && q.topic !== null && !curriculum.getNode(q.topic)) return 'Unknown curriculum chapter or topic';
+    return questionTypes.validate(q);
+}
+
+// AI questions wait for review, questions written by teachers are approved right away
+function getStatus(q) {
+    return q.status || 'pending';
+}
+
+// Can this question be served for a grade/subject in this language? Subject 'all' matches every subject,
+// `topic` (a curriculum chapter or topic id, see curriculum.js) limits it to questions tagged with that part
+function isServable(q, grade, subject, { approvedOnly = false, language = locales.DEFAULT_LANGUAGE, topic = null } = {}) {
+    const subjectKey = normalizeSubject(subject);
+    return q.grade === grade &&
+        (subjectKey === 'all' || q.subjectKey === subjectKey) &&
+        locales.getLanguage(q) === language &&
+        (!topic || curriculum.covers(topic, q.topic)) &&
+        getStatus(q) !== 'rejected' &&
+        (!approvedOnly || getStatus(q) === 'approved');
+}
+
+function findQuestions(grade, subject, options = {}) {
+    return db.collection('questions').filter(q => isServable(q, grade, subject, options));
+}
+
+// Questions without a level (older bank entries, teacher questions) count as medium
+function getLevel(q) {
+    return q.level || 'medium';
+}
+
+function getQuestion(id) {
+    return db.collection('questions').find(q => q.id === id) || null;
+}
+
+// Is there another question with the same text in this grade?
+function isDuplicate(grade, text, exceptId = null) {
+    const textKey = normalizeText(text);
+    return db.collection('questions').some(q =>
+        q.grade === grade && q.textKey === textKey && q.id !== exceptId
+    );
+}
+
+// Store validated questions, skipping duplicates (same grade + same text).
+// `level`, `language` and `topic` apply to questions that don't set their own (or set a topic outside `topic`)
+function addQuestions(grade, subject, questions, source = 'ai', { status, createdBy = null, level, language = locales.DEFAULT_LANGUAGE, topic = null } = {}) {
+    const bank = db.collection('questions');
+    const existing = new Set(bank.filter(q => q.grade === grade).map(q => q.textKey));
+    const added = [];
+
+    for (const q of questions) {
+        const textKey = normalizeText(q.text);
+        if (!textKey || existing.has(textKey)) continue;
+        existing.add(textKey);
+
+        const stored = {
+            id: crypto.randomUUID(),
+            grade: grade,
+            subjectKey: normalizeSubject(subject === 'all' ? q.subject : subject),
+            subject: q.subject,
+            text: q.text,
+            type: questionTypes.getType(q),
+            options: q.options || [],
+            answer: q.answer,
+            ...questionTypes.answerFields(q),
+            // Structured explanation (see explanations.js), written by a teacher or cached from the AI
+            explanation: q.explanation || null,
+            level: LEVELS.includes(q.level) ? q.level : (level || 'medium'),
+            language: locales.isLanguage(q.language) ? q.language : language,
+            // Curriculum chapter or topic id (null = not tagged)
+            topic: curriculum.getNode(q.topic) && (!topic || curriculum.covers(topic, q.topic)) ? q.topic : topic,
+            textKey: textKey,
+            source: source,
+            status: status || (source === 'ai' ? 'pending' : 'approved'),
+            createdBy: createdBy,
+            reviewedBy: null,
+            reviewedAt: null,
+            reviewNote: null,
+            timesServed: 0,
+            createdAt: new Date().toISOString()
+        };
+        bank.push(stored);
+        added.push(stored);
+    }
+
+    if (added.length > 0) {
+        db.save();
+    }
+    return added;
+}
+
+function getSeenIds(userId) {
+    if (!userId) return new Set();
+    return new Set(
+        db.collection('seenQuestions')
+            .filter(s => s.userId === userId)
+            .map(s => s.questionId)
+    );
+}
+
+function countUnseen(grade, subject, userId, { approvedOnly = false, language, topic } = {}) {
+    const seen = getSeenIds(userId);
+    return findQuestions(grade, subject, { approvedOnly, language, topic }).filter(q => !seen.has(q.id)).length;
+}
+
+/**
+ * Pick up to `num` questions, unseen ones first.
+ * Unseen questions are ordered by closeness to the wanted `level`, then by a weighted random draw
+ * that favours subjects with a higher `subjectWeights` entry and questions served less often.
+ */
+function pickQuestions(grade, subject, num, userId, { includeSeen = false, approvedOnly = false, level = null, language, topic, excludeIds = new Set(), subjectWeights = {} } = {}) {
+    const seen = getSeenIds(userId);
+    const candidates = shuffle(findQuestions(grade, subject, { approvedOnly, language, topic }))
+        .filter(q => !excludeIds.has(q.id));
+
+    const levelDistance = q => level ? Math.abs(LEVELS.indexOf(getLevel(q)) - LEVELS.indexOf(level)) : 0;
+    const drawKey = new Map(candidates.map(q => {
+        const weight = (subjectWeights[q.subjectKey] || 1) / (1 + (q.timesServed || 0));
+        return [q.id, Math.pow(Math.random(), 1 / weight)];
+    }));
+
+    const unseen = candidates
+        .filter(q => !seen.has(q.id))
+        .sort((a, b) => levelDistance(a) - levelDistance(b) || drawKey.get(b.id) - drawKey.get(a.id));
+
+    let picked = unseen.slice(0, num);
+    if (includeSeen && picked.length < num) {
+        picked = picked.concat(candidates.filter(q => seen.has(q.id)).slice(0, num - picked.length));
+    }
+    return picked;
+}
+
+// Remember which questions a user has been served
+function markServed(questions, userId) {
+    const now = new Date().toISOString();
+    const seenQuestions = db.collection('seenQuestions');
+    const seen = getSeenIds(userId);
+
+    for (const q of questions) {
+        q.timesServed = (q.timesServed || 0) + 1;
+        if (userId && !seen.has(q.id)) {
+            seenQuestions.push({ userId: userId, questionId: q.id, seenAt: now });
+        }
+    }
+    db.save();
+}
+
+// Teacher view of the bank with optional filters (`topic` = a curriculum chapter or topic id)
+function listQuestions({ grade, subject, status, source, search, topic } = {}) {
+    const subjectKey = subject ? normalizeSubject(subject) : null;
+    const searchKey = search ? normalizeText(search) : null;
+
+    return db.collection('questions').filter(q =>
+        (!grade || q.grade === grade) &&
+        (!subjectKey || subjectKey === 'all' || q.subjectKey === subjectKey) &&
+        (!status || getStatus(q) === status) &&
+        (!source || q.source === source) &&
+        (!searchKey || q.textKey.includes(searchKey)) &&
+        (!topic || curriculum.covers(topic, q.topic))
+    );
+}
+
+// Apply edits to a stored question (fields already validated by the caller)
+function updateQuestion(q, changes) {
+    // A new text or answer makes the stored explanation wrong, unless the edit comes with a new one
+    const contentChanged = ['text', 'type', 'options', 'answer'].some(field =>
+        changes[field] !== undefined && JSON.stringify(changes[field]) !== JSON.stringify(field === 'type' ? questionTypes.getType(q) : q[field])
+    );
+    if (changes.explanation !== undefined) q.explanation = changes.explanation;
+    else if (contentChanged) q.explanation = null;
+
+    if (changes.grade !== undefined) q.grade = changes.grade;
+    if (changes.subject !== undefined) {
+        q.subject = changes.subject;
+        q.subjectKey = normalizeSubject(changes.subject);
+    }
+    if (changes.text !== undefined) {
+        q.text = changes.text;
+        q.textKey = normalizeText(changes.text);
+    }
+    if (changes.type !== undefined) q.type = changes.type;
+    if (changes.options !== undefined) q.options = changes.options;
+    if (changes.answer !== undefined) q.answer = changes.answer;
+    if (changes.tolerance !== undefined) q.tolerance = changes.tolerance;
+    if (changes.accepted !== undefined) q.accepted = changes.accepted;
+    if (changes.level !== undefined) q.level = changes.level;
+    if (changes.language !== undefined) q.language = changes.language;
+    if (changes.topic !== undefined) q.topic = changes.topic;
+    q.updatedAt = new Date().toISOString();
+
+    db.save();
+    return q;
+}
+
+function reviewQuestion(q, status, reviewerId, note = null) {
+    q.status = status;
+    q.reviewedBy = reviewerId;
+    q.reviewedAt = new Date().toISOString();
+    q.reviewNote = note;
+
+    db.save();
+    return q;
+}
+
+function deleteQuestion(id) {
+    const removed = db.remove('questions', q => q.id === id);
+    db.remove('seenQuestions', s => s.questionId === id);
+    db.remove('reviewItems', r => r.questionId === id);
+    db.save();
+    return removed > 0;
+}
+
+// Full record for teachers (includes review state)
+function toAdminQuestion(q) {
+    const { textKey, ...rest } = q;
+    return { ...rest, status: getStatus(q) };
+}
+
+// Shape sent to the game client (no answer: it is checked through the game session)
+function toClientQuestion(q) {
+    return {
+        id: q.id,
+        subject: q.subject,
+        text: q.text,
+        type: questionTypes.getType(q),
+        options: q.options || [],
+        topic: q.topic || null
+    };
+}
+
+function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+module.exports = {
+    STATUSES,
+    LEVELS,
+    normalizeText,
+    normalizeSubject,
+    validateQuestion,
+    isServable,
+    findQuestions,
+    getQuestion,
+    isDuplicate,
+    addQuestions,
+    countUnseen,
+    pickQuestions,
+    markServed,
+    listQuestions,
+    updateQuestion,
+    reviewQuestion,
+    deleteQuestion,
+    toAdminQuestion,
+    toClientQuestion
+};
@@ -0,0 +1,438 @@
+// questionFormats.js - Chuyển đổi câu hỏi giữa schema của game và CSV / JSON / GIFT / Aiken
+const LETTERS = ['A', 'B', 'C', 'D'];
+
+// `types`: question types the format can describe (null = every type, see questionTypes.js)
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', types: ['choice'] },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json', types: null },
+    gift: { contentType: 'text/plain; charset=utf-8', extension: 'gift.txt', types: ['choice'] },
+    aiken: { contentType: 'text/plain; charset=utf-8', extension: 'aiken.txt', types: ['choice'] }
+};
+
+function supportsType(format, type) {
+    const types = FORMATS[format] ? FORMATS[format].types : [];
+    return types === null || types.includes(type);
+}
+
+const CSV_HEADER = ['grade', 'subject', 'text', 'optionA', 'optionB', 'optionC', 'optionD', 'answer'];
+
+// Accepted spellings for each CSV column (compared lower-cased, without spaces/underscores)
+const CSV_COLUMNS = {
+    grade: ['grade', 'lop', 'lớp'],
+    subject: ['subject', 'monhoc', 'mônhọc', 'category'],
+    text: ['text', 'question', 'cauhoi', 'câuhỏi'],
+    optionA: ['optiona', 'a'],
+    optionB: ['optionb', 'b'],
+    optionC: ['optionc', 'c'],
+    optionD: ['optiond', 'd'],
+    answer: ['answer', 'correct', 'dapan', 'đápán']
+};
+
+// ========== IMPORT ==========
+
+// Parse a file into raw question rows: { items: [{ row, line, question }], errors: [{ row, line, error }] }
+// Rows are not validated here, the caller applies the question bank rules.
+function parse(format, content) {
+    const text = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+    switch (format) {
+        case 'csv': return parseCSV(text);
+        case 'json': return parseJSON(text);
+        case 'gift': return parseGIFT(text);
+        case 'aiken': return parseAiken(text);
+        default: throw new Error(`Unsupported format: ${format}`);
+    }
+}
+
+// Answer given as a letter, or as the text of one of the options
+function normalizeAnswer(answer, options) {
+    const value = String(answer === undefined || answer === null ? '' : answer).trim();
+    const letter = value.toUpperCase();
+    if (LETTERS.includes(letter)) return letter;
+
+    if (Array.isArray(options)) {
+        const index = options.findIndex(o => typeof o === 'string' && o.trim() === value);
+        if (value && index >= 0 && index < LETTERS.length) return LETTERS[index];
+    }
+    return letter;
+}
+
+function parseJSON(text) {
+    const items = [];
+    const errors = [];
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { items, errors: [{ row: 0, error: `Invalid JSON: ${error.message}` }] };
+    }
+
+    const rows = Array.isArray(data) ? data : (data && Array.isArray(data.questions) ? data.questions : null);
+    if (!rows) {
+        return { items, errors: [{ row: 0, error: 'JSON must be an array of questions or { "questions": [...] }' }] };
+    }
+
+    rows.forEach((q, index) => {
+        if (!q || typeof q !== 'object') {
+            errors.push({ row: index + 1, error: 'Question must be an object' });
+            return;
+        }
+        // Only single-letter answers can be given as option text; other types keep their answer as written
+        const singleLetter = q.type === undefined || q.type === 'choice' || q.type === 'true_false';
+        items.push({
+            row: index + 1,
+            question: {
+                grade: q.grade,
+                subject: q.subject,
+                text: q.text,
+                type: q.type,
+                options: q.options,
+                answer: singleLetter ? normalizeAnswer(q.answer, q.options) : q.answer,
+                tolerance: q.tolerance,
+                accepted: q.accepted,
+                language: q.language,
+                topic: q.topic,
+                explanation: q.explanation
+            }
+        });
+    });
+
+    return { items, errors };
+}
+
+// RFC 4180 records; the delimiter (comma or semicolon, as Excel uses in some locales) comes from the header
+function readCSVRecords(text) {
+    const firstLine = text.split('\n', 1)[0];
+    const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                if (ch === '\n') line++;
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n') {
+            record.push(field);
+            records.push({ line: recordLine, fields: record });
+            record = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push({ line: recordLine, fields: record });
+    }
+
+    // Drop blank lines
+    return records.filter(r => r.fields.some(f => f.trim() !== ''));
+}
+
+function parseCSV(text) {
+    const items = [];
+    const errors = [];
+    const records = readCSVRecords(text);
+
+    if (records.length === 0) {
+        return { items, errors: [{ row: 0, error: 'CSV file is empty' }] };
+    }
+
+    // Map header names to column indexes
+    const header = records[0].fields.map(h => h.trim().toLowerCase().replace(/[\s_]/g, ''));
+    const columns = {};
+    for (const [key, names] of Object.entries(CSV_COLUMNS)) {
+        const index = header.findIndex(h => names.includes(h));
+        if (index >= 0) columns[key] = index;
+    }
+
+    const missing = ['text', 'optionA', 'optionB', 'optionC', 'optionD', 'answer'].filter(key => columns[key] === undefined);
+    if (missing.length > 0) {
+        return { items, errors: [{ row: 0, line: 1, error: `Missing CSV columns: ${missing.join(', ')}` }] };
+    }
+
+    records.slice(1).forEach((record, index) => {
+        const get = key => columns[key] === undefined ? undefined : (record.fields[columns[key]] || '').trim();
+        const options = [get('optionA'), get('optionB'), get('optionC'), get('optionD')];
+
+        items.push({
+            row: index + 1,
+            line: record.line,
+            question: {
+                grade: get('grade') || undefined,
+                subject: get('subject') || undefined,
+                text: get('text'),
+                options: options,
+                answer: normalizeAnswer(get('answer'), options)
+            }
+        });
+    });
+
+    return { items, errors };
+}
+
+// Split text into blank-line separated blocks, remembering where each one starts
+function splitBlocks(text, isComment = () => false) {
+    const blocks = [];
+    let current = null;
+
+    text.split('\n').forEach((raw, index) => {
+        if (isComment(raw)) return;
+
+        if (raw.trim() === '') {
+            current = null;
+            return;
+        }
+        if (!current) {
+            current = { line: index + 1, lines: [] };
+            blocks.push(current);
+        }
+        current.lines.push(raw);
+    });
+
+    return blocks;
+}
+
+// Aiken: question line, "A. ..." to "D. ..." options, then "ANSWER: X"
+function parseAiken(text) {
+    const items = [];
+    const errors = [];
+
+    splitBlocks(text).forEach((block, index) => {
+        const row = index + 1;
+        const lines = block.lines.map(l => l.trim());
+        const answerLine = lines[lines.length - 1];
+        const answerMatch = answerLine.match(/^ANSWER\s*:\s*(.*)$/i);
+
+        if (!answerMatch) {
+            errors.push({ row, line: block.line, error: 'Missing "ANSWER:" line' });
+            return;
+        }
+
+        const textLines = [];
+        const options = [];
+        for (const l of lines.slice(0, -1)) {
+            const optionMatch = l.match(/^([A-Z])[.)]\s+(.*)$/);
+            if (optionMatch && (options.length > 0 || textLines.length > 0)) {
+                options.push(optionMatch[2]);
+            } else if (options.length === 0) {
+                textLines.push(l);
+            } else {
+                // Continuation of the previous option
+                options[options.length - 1] += ' ' + l;
+            }
+        }
+
+        items.push({
+            row,
+            line: block.line,
+            question: {
+                text: textLines.join(' '),
+                options: options,
+                answer: normalizeAnswer(answerMatch[1], options)
+            }
+        });
+    });
+
+    return { items, errors };
+}
+
+function unescapeGIFT(value) {
+    return value.replace(/\\(.)/g, '$1').replace(/\s+/g, ' ').trim();
+}
+
+// Index of the first unescaped character from `chars`, or -1
+function findUnescaped(value, chars, from = 0) {
+    for (let i = from; i < value.length; i++) {
+        if (value[i] === '\\') {
+            i++;
+        } else if (chars.includes(value[i])) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Options inside a GIFT answer block: "=right ~wrong #feedback ..."
+function parseGIFTAnswers(body) {
+    const answers = [];
+    let i = findUnescaped(body, '=~');
+
+    while (i >= 0) {
+        const next = findUnescaped(body, '=~', i + 1);
+        let value = body.slice(i + 1, next >= 0 ? next : body.length);
+
+        // Drop per-answer feedback and Moodle weights like ~%50%
+        const feedback = findUnescaped(value, '#');
+        if (feedback >= 0) value = value.slice(0, feedback);
+        value = value.replace(/^%-?\d+(\.\d+)?%/, '');
+
+        answers.push({ correct: body[i] === '=', text: unescapeGIFT(value) });
+        i = next;
+    }
+
+    return answers;
+}
+
+// Moodle GIFT: only multiple-choice questions ({=right ~wrong ~wrong ~wrong}) map to the game
+function parseGIFT(text) {
+    const items = [];
+    const errors = [];
+    let subject;
+    let row = 0;
+
+    splitBlocks(text, l => l.trim().startsWith('//')).forEach(block => {
+        // "$CATEGORY: $course$/Toán học" sets the subject for the following questions
+        const category = block.lines[0].trim().match(/^\$CATEGORY:\s*(.*)$/i);
+        if (category) {
+            subject = category[1].split('/').pop().trim() || undefined;
+            block.lines.shift();
+            block.line++;
+            if (block.lines.length === 0) return;
+        }
+
+        const content = block.lines.join('\n').trim();
+
+        row++;
+        let body = content.replace(/^::(.*?)::/, '').trim();
+        body = body.replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+
+        const open = findUnescaped(body, '{');
+        const close = open >= 0 ? findUnescaped(body, '}', open) : -1;
+        if (open < 0 || close < 0) {
+            errors.push({ row, line: block.line, error: 'Missing answer block { ... }' });
+            return;
+        }
+
+        const answers = parseGIFTAnswers(body.slice(open + 1, close));
+        const correct = answers.filter(a => a.correct);
+        if (answers.length === 0 || correct.length !== 1) {
+            errors.push({ row, line: block.line, error: 'Only multiple-choice questions with exactly one correct answer are supported' });
+            return;
+        }
+
+        const options = answers.map(a => a.text);
+        items.push({
+            row,
+            line: block.line,
+            question: {
+                subject: subject,
+                text: unescapeGIFT(body.slice(0, open) + ' ' + body.slice(close + 1)),
+                options: options,
+                answer: LETTERS[answers.indexOf(correct[0])] || ''
+            }
+        });
+    });
+
+    return { items, errors };
+}
+
+// ========== EXPORT ==========
+
+function serialize(format, questions) {
+    switch (format) {
+        case 'csv': return toCSV(questions);
+        case 'json': return toJSON(questions);
+        case 'gift': return toGIFT(questions);
+        case 'aiken': return toAiken(questions);
+        default: throw new Error(`Unsupported format: ${format}`);
+    }
+}
+
+function toJSON(questions) {
+    return JSON.stringify(questions.map(q => ({
+        grade: q.grade,
+        subject: q.subject,
+        text: q.text,
+        type: q.type || 'choice',
+        options: q.options,
+        answer: q.answer,
+        tolerance: q.tolerance,
+        accepted: q.accepted,
+        language: q.language,
+        topic: q.topic || undefined,
+        // Cached AI explanations are exported too, so they don't have to be generated again after an import
+        explanation: q.explanation ? { correct: q.explanation.correct, wrong: q.explanation.wrong, example: q.explanation.example } : undefined
+    })), null, 2);
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Any table as CSV (also used for classroom result exports)
+function toCSVTable(rows) {
+    // BOM so Excel opens Vietnamese text as UTF-8
+    return '\uFEFF' + rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function toCSV(questions) {
+    return toCSVTable([CSV_HEADER].concat(questions.map(q => [
+        q.grade, q.subject, q.text, ...q.options, q.answer
+    ])));
+}
+
+function escapeGIFT(value) {
+    return String(value).replace(/([~=#{}:\\])/g, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+function toGIFT(questions) {
+    const lines = [];
+    let subject = null;
+
+    questions.forEach((q, index) => {
+        if (q.subject !== subject) {
+            subject = q.subject;
+            lines.push(`$CATEGORY: $course$/${String(subject).replace(/\//g, '-')}`, '');
+        }
+
+        const answerIndex = LETTERS.indexOf(q.answer);
+        const options = q.options.map((o, i) => `${i === answerIndex ? '=' : '~'}${escapeGIFT(o)}`);
+        lines.push(`::Q${index + 1}:: ${escapeGIFT(q.text)} {`, ...options.map(o => `    ${o}`), '}', '');
+    });
+
+    return lines.join('\n');
+}
+
+function toAiken(questions) {
+    const oneLine = value => String(value).replace(/\s+/g, ' ').trim();
+
+    return questions.map(q => [
+        oneLine(q.text),
+        // Stored options already start with their letter ("A. ..."), Aiken adds its own
+        ...q.options.map((o, i) => `${LETTERS[i]}. ${oneLine(o).replace(/^[A-D][.)]\s+/, '')}`),
+        `ANSWER: ${q.answer}`
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+module.exports = {
+    FORMATS,
+    supportsType,
+    parse,
+    serialize,
+    toCSVTable
+};
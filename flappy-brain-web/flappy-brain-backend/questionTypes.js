@@ -0,0 +1,255 @@
+// questionTypes.js - Các dạng câu hỏi: trắc nghiệm, đúng/sai, chọn nhiều đáp án, điền số, điền từ, sắp xếp thứ tự
+const LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+/**
+ * Answer key per type (options keep their "A. " prefix, like the original multiple choice questions):
+ * - choice: 4 options, answer "A"-"D" (questions stored before types existed have no `type` and are choice)
+ * - true_false: 2 options ("A. Đúng", "B. Sai"), answer "A" or "B"
+ * - multi_select: 3-6 options, answer = the correct letters in order, e.g. "AC" (at least one option is wrong)
+ * - numeric: no options, answer = a number, `tolerance` = largest accepted difference (default 0)
+ * - short_text: no options, answer = the expected text, `accepted` = other accepted spellings
+ * - ordering: 3-6 items, answer = the letters in the right order, e.g. "CABD"
+ */
+const TYPES = ['choice', 'true_false', 'multi_select', 'numeric', 'short_text', 'ordering'];
+
+const MIN_LIST_OPTIONS = 3;
+const MAX_LIST_OPTIONS = 6;
+const MAX_TEXT_ANSWER_LENGTH = 100;
+
+function getType(q) {
+    return q && TYPES.includes(q.type) ? q.type : 'choice';
+}
+
+function hasOptions(type) {
+    return type !== 'numeric' && type !== 'short_text';
+}
+
+// "A, c" / ["A", "C"] -> ["A", "C"]
+function toLetters(answer) {
+    const value = Array.isArray(answer) ? answer.join('') : String(answer === undefined || answer === null ? '' : answer);
+    return value.toUpperCase().replace(/[^A-Z]/g, '').split('').filter(Boolean);
+}
+
+/**
+ * Canonical form of an answer for a type; used for answer keys and for player answers.
+ * Numbers accept a decimal comma (Vietnamese notation); text that isn't a number is returned as typed.
+ */
+function normalizeAnswer(type, answer) {
+    switch (type) {
+        case 'multi_select':
+            return [...new Set(toLetters(answer))].sort().join('');
+        case 'ordering':
+            return toLetters(answer).join('');
+        case 'numeric': {
+            if (typeof answer === 'number') return answer;
+            const text = String(answer === undefined || answer === null ? '' : answer).trim();
+            const number = Number(text.replace(/\s/g, '').replace(',', '.'));
+            return text !== '' && Number.isFinite(number) ? number : text;
+        }
+        case 'short_text':
+            return String(answer === undefined || answer === null ? '' : answer).trim();
+        default:
+            return String(answer === undefined || answer === null ? '' : answer).trim().toUpperCase();
+    }
+}
+
+// Text answers: case, spacing and surrounding punctuation don't matter (accents do)
+function textKey(value) {
+    return String(value || '')
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.,;:!?"'()]+|[\s.,;:!?"'()]+$/g, '');
+}
+
+// Type specific rules; subject, text and level are checked by questionBank.validateQuestion
+function validate(q) {
+    if (q.type !== undefined && !TYPES.includes(q.type)) return `Type must be one of: ${TYPES.join(', ')}`;
+    const type = getType(q);
+
+    if (hasOptions(type)) {
+        if (!Array.isArray(q.options)) return 'Options must be a list';
+        if (q.options.some(o => typeof o !== 'string' || !o.trim())) return 'Options must be non-empty strings';
+    } else if (q.options !== undefined && (!Array.isArray(q.options) || q.options.length > 0)) {
+        return `${type} questions have no options`;
+    }
+
+    const letters = hasOptions(type) ? LETTERS.slice(0, q.options.length) : [];
+
+    switch (type) {
+        case 'choice':
+            if (q.options.length !== 4) return 'Question must have exactly 4 options';
+            if (!['A', 'B', 'C', 'D'].includes(q.answer)) return 'Answer must be "A", "B", "C" or "D"';
+            return null;
+        case 'true_false':
+            if (q.options.length !== 2) return 'True/false questions must have exactly 2 options';
+            if (!['A', 'B'].includes(q.answer)) return 'Answer must be "A" or "B"';
+            return null;
+        case 'multi_select': {
+            if (q.options.length < MIN_LIST_OPTIONS || q.options.length > MAX_LIST_OPTIONS) {
+                return `Multi-select questions need ${MIN_LIST_OPTIONS} to ${MAX_LIST_OPTIONS} options`;
+            }
+            const answer = typeof q.answer === 'string' ? q.answer.split('') : [];
+            if (answer.length === 0 || answer.some(l => !letters.includes(l))) return 'Answer must list the correct option letters, e.g. "AC"';
+            if (answer.length === letters.length) return 'At least one option must be wrong';
+            return null;
+        }
+        case 'ordering': {
+            if (q.options.length < MIN_LIST_OPTIONS || q.options.length > MAX_LIST_OPTIONS) {
+                return `Ordering questions need ${MIN_LIST_OPTIONS} to ${MAX_LIST_OPTIONS} items`;
+            }
+            const answer = typeof q.answer === 'string' ? q.answer : '';
+            if (answer.split('').sort().join('') !== letters.join('')) return 'Answer must list every item letter once, in the right order, e.g. "CABD"';
+            return null;
+        }
+        case 'numeric':
+            if (typeof q.answer !== 'number' || !Number.isFinite(q.answer)) return 'Answer must be a number';
+            if (q.tolerance !== undefined && (typeof q.tolerance !== 'number' || !Number.isFinite(q.tolerance) || q.tolerance < 0)) {
+                return 'Tolerance must be a number >= 0';
+            }
+            return null;
+        case 'short_text':
+            if (typeof q.answer !== 'string' || !q.answer.trim()) return 'Answer must be a non-empty text';
+            if (q.answer.length > MAX_TEXT_ANSWER_LENGTH) return `Answer must be at most ${MAX_TEXT_ANSWER_LENGTH} characters`;
+            if (q.accepted !== undefined && (!Array.isArray(q.accepted) || q.accepted.some(a => typeof a !== 'string' || !a.trim()))) {
+                return 'Accepted answers must be a list of non-empty texts';
+            }
+            return null;
+    }
+    return null;
+}
+
+// Fields besides `answer` that belong to the answer key of a type
+function answerFields(q) {
+    const type = getType(q);
+    if (type === 'numeric') return { tolerance: q.tolerance || 0 };
+    if (type === 'short_text') return { accepted: Array.isArray(q.accepted) ? q.accepted.map(a => a.trim()) : [] };
+    return {};
+}
+
+// What a game session keeps to grade answers and give hints
+function toAnswerKey(q) {
+    return {
+        type: getType(q),
+        answer: q.answer,
+        optionCount: Array.isArray(q.options) ? q.options.length : 0,
+        ...answerFields(q)
+    };
+}
+
+// `key` is a stored question or an answer key; a null answer (countdown ran out) is never correct
+function isCorrect(key, answer) {
+    if (answer === null || answer === undefined) return false;
+    const type = getType(key);
+    const given = normalizeAnswer(type, answer);
+
+    switch (type) {
+        case 'numeric':
+            // Small epsilon so 0.1 + 0.2 style rounding doesn't fail an exact answer
+            return typeof given === 'number' && Math.abs(given - key.answer) <= (key.tolerance || 0) + 1e-9;
+        case 'short_text':
+            return [key.answer, ...(key.accepted || [])].some(a => textKey(a) === textKey(given));
+        default:
+            return given === key.answer;
+    }
+}
+
+function shuffled(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Hint for a question, without giving the answer away; null when the type has none
+ * (removing the wrong half of a true/false question would be the answer).
+ * - choice: { disabled: two wrong letters }, multi_select: { disabled: one wrong letter }
+ * - numeric: { range: [low, high] } containing the answer, not centred on it
+ * - short_text: { prefix, length } = first letter and length of the expected answer
+ * - ordering: { first } = letter of the item that goes first
+ */
+function hint(key, random = Math.random) {
+    const type = getType(key);
+
+    switch (type) {
+        case 'choice':
+        case 'multi_select': {
+            const wrong = LETTERS.slice(0, key.optionCount).filter(l => !key.answer.includes(l));
+            return { disabled: shuffled(wrong, random).slice(0, type === 'choice' ? 2 : 1) };
+        }
+        case 'numeric': {
+            const width = Math.max(Math.abs(key.answer) * 0.5, (key.tolerance || 0) * 4, 2);
+            const low = key.answer - random() * width;
+            const round = Number.isInteger(key.answer) ? 1 : 100;
+            return { range: [Math.floor(low * round) / round, Math.ceil((low + width) * round) / round] };
+        }
+        case 'short_text':
+            return { prefix: key.answer.charAt(0), length: key.answer.length };
+        case 'ordering':
+            return { first: key.answer.charAt(0) };
+        default:
+            return null;
+    }
+}
+
+function optionText(q, letter) {
+    const options = Array.isArray(q.options) ? q.options : [];
+    return options.find(o => String(o).trim().charAt(0) === letter) || letter;
+}
+
+// Human readable answer (explanations, exports): option texts instead of letters
+function formatAnswer(q, answer) {
+    if (answer === null || answer === undefined) return '';
+    const type = getType(q);
+
+    switch (type) {
+        case 'multi_select':
+            return toLetters(answer).map(l => optionText(q, l)).join('; ');
+        case 'ordering':
+            return toLetters(answer).map(l => optionText(q, l)).join(' → ');
+        case 'numeric':
+        case 'short_text':
+            return String(answer);
+        default:
+            return optionText(q, String(answer).trim().toUpperCase());
+    }
+}
+
+// "A. " prefixes for option lists written without them (AI output, imports)
+function withLetters(options) {
+    return options.map((o, i) => /^[A-F][.)]\s/.test(String(o).trim()) ? String(o).trim() : `${LETTERS[i]}. ${String(o).trim()}`);
+}
+
+/**
+ * Ordering questions are easier to write with the items in the right order;
+ * this shuffles them into lettered options and sets the answer to the right order.
+ */
+function shuffleOrdering(items, random = Math.random) {
+    const bodies = items.map(i => String(i).trim().replace(/^[A-F][.)]\s+/, ''));
+    const order = shuffled(bodies.map((_, i) => i), random);
+    // Never show the items already in the right order
+    if (order.every((v, i) => v === i) && order.length > 1) order.push(order.shift());
+
+    return {
+        options: order.map((index, i) => `${LETTERS[i]}. ${bodies[index]}`),
+        answer: bodies.map((_, index) => LETTERS[order.indexOf(index)]).join('')
+    };
+}
+
+module.exports = {
+    TYPES,
+    getType,
+    hasOptions,
+    normalizeAnswer,
+    validate,
+    answerFields,
+    toAnswerKey,
+    isCorrect,
+    hint,
+    formatAnswer,
+    withLetters,
+    shuffleOrdering
+};
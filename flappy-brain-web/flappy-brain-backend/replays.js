@@ -0,0 +1,160 @@
+// replays.js - Bản ghi lượt chơi (replay) để giáo viên xem lại cách học sinh chơi và kiểm tra điểm đáng ngờ
+const crypto = require('crypto');
+const db = require('./db');
+const questionTypes = require('./questionTypes');
+const gameModes = require('./gameModes');
+
+// Version 2 games have moving/narrowing pipes and power-ups; version 1 replays are still played with static pipes only
+const REPLAY_VERSIONS = [1, 2];
+// A frame is one character, so this is roughly an hour of play
+const MAX_FRAMES = 60 * 60 * 60;
+const MAX_REPLAYS_PER_USER = 50;
+// Rejected runs are kept apart so a flood of bad submissions can't push out the accepted replays
+const MAX_REJECTED_REPLAYS_PER_USER = 20;
+
+/**
+ * Replay format (version 2), recorded by the game client:
+ * { v, mode, seed, difficulty, gameSpeed, score, frames, flaps, questions }
+ * - mode: game mode id (gameModes.js), missing in version 1 (classic)
+ * - frames: one character per played frame, charCode - 48 = frame duration in ms
+ * - flaps: frame numbers at which the player flapped
+ * - questions: [{ frame, id, subject, text, type, options, hints, hint, answer, correct, bonus, correctAnswer }]
+ *   `hints` = letters removed by a hint, `hint` = the hint itself ({ disabled }, { range }...);
+ *   replays recorded before question types only have `hints`
+ */
+function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object') return 'Replay must be an object';
+    if (!REPLAY_VERSIONS.includes(replay.v)) return `Unsupported replay version (expected one of ${REPLAY_VERSIONS.join(', ')})`;
+    if (!Number.isInteger(replay.seed)) return 'Replay seed must be an integer';
+    if (typeof replay.frames !== 'string' || replay.frames.length > MAX_FRAMES) return 'Replay frames are missing or too long';
+    if (!Array.isArray(replay.flaps) || replay.flaps.some((f, i) => !Number.isInteger(f) || f < 0 || f > replay.frames.length || (i > 0 && f < replay.flaps[i - 1]))) {
+        return 'Replay flaps must be increasing frame numbers';
+    }
+    if (!Array.isArray(replay.questions) || replay.questions.some(q => !q || !Number.isInteger(q.frame) || !Array.isArray(q.options))) {
+        return 'Replay questions are malformed';
+    }
+    return null;
+}
+
+// Hint shapes from questionTypes.hint
+function pickHintFields(hint) {
+    if (!hint || typeof hint !== 'object') return null;
+    if (Array.isArray(hint.disabled)) return { disabled: hint.disabled.map(String) };
+    if (Array.isArray(hint.range)) return { range: hint.range.slice(0, 2).map(Number) };
+    if (typeof hint.prefix === 'string') return { prefix: hint.prefix.slice(0, 1), length: Number(hint.length) || 0 };
+    if (typeof hint.first === 'string') return { first: hint.first.slice(0, 1) };
+    return null;
+}
+
+// Keep only the fields of the format (clients may send extra data)
+function pickReplayFields(replay) {
+    return {
+        v: replay.v,
+        mode: gameModes.isMode(replay.mode) ? replay.mode : gameModes.DEFAULT_MODE,
+        seed: replay.seed >>> 0,
+        difficulty: replay.difficulty,
+        gameSpeed: Number(replay.gameSpeed) || 1,
+        score: Number(replay.score) || 0,
+        frames: replay.frames,
+        flaps: replay.flaps,
+        questions: replay.questions.map(q => ({
+            frame: q.frame,
+            id: q.id,
+            subject: String(q.subject || ''),
+            text: String(q.text || ''),
+            type: questionTypes.getType(q),
+            options: q.options.map(String),
+            hints: Array.isArray(q.hints) ? q.hints.map(String) : [],
+            hint: pickHintFields(q.hint),
+            // Numeric answers can be 0
+            answer: q.answer === undefined || q.answer === '' ? null : q.answer,
+            correct: q.correct === undefined ? null : q.correct,
+            bonus: Number(q.bonus) || 0,
+            correctAnswer: q.correctAnswer === undefined || q.correctAnswer === '' ? null : q.correctAnswer
+        }))
+    };
+}
+
+// Store the replay of a submitted run; rejected runs are kept too, flagged with the reasons
+function saveReplay(user, session, replay, { scoreId = null, score, rejected = false, reasons = [] }) {
+    const stored = {
+        id: crypto.randomUUID(),
+        userId: user.id,
+        username: user.username,
+        scoreId: scoreId,
+        score: score,
+        clientScore: Number(replay.score) || 0,
+        grade: session.grade,
+        subject: session.subject,
+        difficulty: session.difficulty,
+        challenge: session.challenge || null,
+        gameMode: session.mode,
+        rejected: rejected,
+        reasons: reasons,
+        replay: pickReplayFields(replay),
+        createdAt: new Date().toISOString()
+    };
+
+    const items = db.collection('replays');
+    items.push(stored);
+
+    // Oldest go first, accepted and rejected replays each have their own limit
+    pruneOldest(user.id, rejected, rejected ? MAX_REJECTED_REPLAYS_PER_USER : MAX_REPLAYS_PER_USER);
+
+    db.save();
+    return stored;
+}
+
+function pruneOldest(userId, rejected, max) {
+    const mine = db.collection('replays').filter(r => r.userId === userId && Boolean(r.rejected) === rejected);
+    if (mine.length > max) {
+        const drop = new Set(mine.slice(0, mine.length - max).map(r => r.id));
+        db.remove('replays', r => drop.has(r.id));
+    }
+}
+
+function getReplay(id) {
+    return db.collection('replays').find(r => r.id === id) || null;
+}
+
+// Newest first; `flagged` = rejected runs or runs whose client score doesn't match the server's
+function listReplays({ userId, username, flagged = false } = {}) {
+    const usernameKey = username ? String(username).trim().toLowerCase() : null;
+
+    return db.collection('replays')
+        .filter(r =>
+            (!userId || r.userId === userId) &&
+            (!usernameKey || r.username.toLowerCase() === usernameKey) &&
+            (!flagged || isFlagged(r))
+        )
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function isFlagged(r) {
+    return r.rejected || r.clientScore !== r.score;
+}
+
+// List entry without the (large) recording
+function toSummary(r) {
+    const { replay, ...rest } = r;
+    return {
+        ...rest,
+        flagged: isFlagged(r),
+        frames: replay.frames.length,
+        flaps: replay.flaps.length,
+        questions: replay.questions.length
+    };
+}
+
+function removeUserReplays(userId) {
+    return db.remove('replays', r => r.userId === userId);
+}
+
+module.exports = {
+    validateReplay,
+    saveReplay,
+    getReplay,
+    listReplays,
+    toSummary,
+    removeUserReplays
+};
@@ -4,18 +4,74 @@ const cors = require('cors');
 const axios = require('axios');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('./db');
+const questionBank = require('./questionBank');
+const questionFormats = require('./questionFormats');
+const questionTypes = require('./questionTypes');
+const leaderboard = require('./leaderboard');
+const gameSessions = require('./gameSessions');
+const gameModes = require('./gameModes');
+const adaptive = require('./adaptive');
+const multiplayer = require('./multiplayer');
+const liveSessions = require('./liveSessions');
+const classes = require('./classes');
+const dailyChallenge = require('./dailyChallenge');
+const replays = require('./replays');
+const analytics = require('./analytics');
+const achievements = require('./achievements');
+const explanations = require('./explanations');
+const locales = require('./locales');
+const curriculum = require('./curriculum');
+const { getDefaultQuestions } = require('./defaultQuestions');
+
+const scrypt = promisify(crypto.scrypt);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // ========== MIDDLEWARE ==========
-app.use(helmet());
+// The page serves Tailwind and MathJax itself (vendor/), uses inline scripts/handlers
+// and talks to the API and race socket by absolute URL
+app.use(helmet({
+    contentSecurityPolicy: {
+        directives: {
+            scriptSrc: ["'self'", "'unsafe-inline'"],
+            scriptSrcAttr: ["'unsafe-inline'"],
+            connectSrc: ["'self'", 'http:', 'https:', 'ws:', 'wss:'],
+            // School servers are usually plain http on the LAN
+            upgradeInsecureRequests: null
+        }
+    }
+}));
 app.use(cors());
 
-app.use(express.json());
+// Larger limit so teachers can import whole question sets
+app.use(express.json({ limit: '2mb' }));
 const path = require('path');
 console.log("Static path:", path.join(__dirname, '..'));
 
+// The database must never go out as a static file (it holds password hashes and every answer key):
+// requests into DATA_DIR or the old data/ folder are refused, also when DATA_DIR points inside this folder
+const PRIVATE_DIRS = [db.DATA_DIR, path.dirname(db.LEGACY_DB_FILE)].map(dir => path.resolve(dir));
+const samePath = process.platform === 'win32' ? (a, b) => a.toLowerCase() === b.toLowerCase() : (a, b) => a === b;
+
+app.use((req, res, next) => {
+    let file;
+    try {
+        file = path.join(__dirname, decodeURIComponent(req.path));
+    } catch (error) {
+        return next();
+    }
+
+    const isPrivate = PRIVATE_DIRS.some(dir => samePath(file, dir) || samePath(file.slice(0, dir.length + 1), dir + path.sep));
+    if (isPrivate) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+    next();
+});
+
 // Serve static files from flappy-brain-web folder
 app.use(express.static(__dirname));
 
@@ -25,16 +81,89 @@ app.get('/', (req, res) => {
 
 
 
-// Rate limiting
+// Rate limiting. A game sends a request for every answer and hint, so game traffic has its own,
+// larger budget per game session (signed token, see gameSessions.js) instead of eating into the API's
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+const gameLimiter = rateLimit({
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max: 500,
+    keyGenerator: req => {
+        const session = gameSessions.getSession(req.body && req.body.gameToken);
+        return session ? `game:${session.id}` : req.ip;
+    },
+    message: { error: 'Too many requests, please try again later' }
+});
+// A whole class plays from one school IP, so signed-in players each have their own budget;
+// only anonymous requests (login, guests joining a live session) share the IP's
 const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000,
+    windowMs: RATE_LIMIT_WINDOW_MS,
     max: 100,
+    keyGenerator: req => {
+        const found = findSessionUser(req);
+        return found ? `user:${found.user.id}` : req.ip;
+    },
+    // Every page load checks the server
+    skip: req => req.path.startsWith('/game/') || req.path === '/health',
     message: { error: 'Too many requests, please try again later' }
 });
+app.use('/api/game/', gameLimiter);
 app.use('/api/', limiter);
 
 // ========== ROUTES ==========
 
+const API_ENDPOINTS = [
+    'GET /api/health',
+    'POST /api/generate-questions',
+    'POST /api/generate-questions/stream',
+    'WS /ws/race',
+    'POST /api/game/answer',
+    'POST /api/game/hint',
+    'POST /api/game/questions',
+    'POST /api/explain-answer',
+    'POST /api/explain-answer/chat',
+    'POST /api/auth/register',
+    'POST /api/auth/login',
+    'POST /api/auth/import',
+    'POST /api/auth/logout',
+    'GET /api/auth/me',
+    'DELETE /api/auth/account',
+    'PUT /api/users/me/settings',
+    'POST /api/users/me/question-stats',
+    'POST /api/users/me/game-stats',
+    'GET /api/users/me/analytics',
+    'POST /api/leaderboard/scores',
+    'GET /api/leaderboard',
+    'POST /api/daily-challenge',
+    'GET /api/daily-challenge/leaderboard',
+    'GET /api/replays',
+    'GET /api/replays/:id',
+    'GET /api/questions',
+    'POST /api/questions',
+    'POST /api/questions/import',
+    'GET /api/questions/export',
+    'PUT /api/questions/:id',
+    'DELETE /api/questions/:id',
+    'POST /api/questions/:id/review',
+    'POST /api/live-sessions',
+    'GET /api/live-sessions',
+    'GET /api/live-sessions/:id',
+    'POST /api/live-sessions/:id/close',
+    'GET /api/live-sessions/:id/export',
+    'POST /api/live-sessions/join',
+    'POST /api/classes',
+    'GET /api/classes',
+    'GET /api/classes/:id',
+    'DELETE /api/classes/:id',
+    'DELETE /api/classes/:id/students/:userId',
+    'POST /api/classes/join',
+    'POST /api/classes/:id/assignments',
+    'GET /api/assignments',
+    'GET /api/assignments/:id',
+    'DELETE /api/assignments/:id',
+    'POST /api/assignments/:id/start',
+    'GET /api/curriculum'
+];
+
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({
@@ -42,62 +171,103 @@ app.get('/api/health', (req, res) => {
         service: 'Flappy Brain Backend',
         version: '1.1.0',
         timestamp: new Date().toISOString(),
-        endpoints: [
-            'GET /api/health',
-            'POST /api/generate-questions',
-            'POST /api/explain-answer'
-        ]
+        llm: {
+            provider: llm.name,
+            model: llm.model,
+            configured: llm.isConfigured()
+        },
+        endpoints: API_ENDPOINTS
     });
 });
 
-// Generate questions
-app.post('/api/generate-questions', async (req, res) => {
+// Generate questions (served from the question bank, topped up by the LLM provider)
+app.post('/api/generate-questions', optionalAuth, async (req, res) => {
     console.log('📥 Received question generation request...');
     
     try {
-        const { grade, subject, num = 20 } = req.body;
-        
-        // Validation
-        if (!grade || !subject) {
+        const params = parseGenerationRequest(req);
+        if (params.error) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing grade or subject'
+                error: params.error
             });
         }
 
-        if (grade < 6 || grade > 12) {
-            return res.status(400).json({
-                success: false,
-                error: 'Grade must be between 6 and 12'
-            });
+        const { grade, subject, num, approvedOnly, level, language, topic, userId, mode } = params;
+        const bankOptions = { approvedOnly, level, language, topic };
+
+        console.log(`📚 Generating: Grade ${grade}, Subject: ${subject}, Count: ${num}, Level: ${level}, Language: ${language}, Mode: ${mode}${topic ? `, Topic: ${topic}` : ''}${approvedOnly ? ' (approved only)' : ''}`);
+
+        // Due reviews plus fresh bank questions when the bank has enough unseen ones
+        let { questions, reviewIds } = adaptive.selectQuestions(grade, subject, num, req.user, bankOptions);
+        const generation = { requested: 0, generated: 0, batches: 0, failedBatches: 0 };
+
+        if (questions.length < num) {
+            // New AI questions need review first, so they can't fill an approved-only game
+            if (!approvedOnly) {
+                generation.requested = num - questions.length;
+                try {
+                    const result = await topUpQuestionBank(grade, subject, generation.requested, bankOptions);
+                    generation.generated = result.added.length;
+                    generation.batches = result.batches;
+                    generation.failedBatches = result.failedBatches;
+                } catch (error) {
+                    // Provider unavailable: fall back to whatever the bank has, seen or not
+                    console.error('⚠️ Bank top-up failed:', error.message);
+                }
+            }
+
+            ({ questions, reviewIds } = adaptive.selectQuestions(grade, subject, num, req.user, { ...bankOptions, includeSeen: true }));
+
+            // Still short: add the built-in questions (approved, so they also fill approved-only games)
+            if (questions.length < num && llm.name !== 'offline') {
+                await topUpQuestionBank(grade, subject, num - questions.length, bankOptions, offlineProvider);
+                ({ questions, reviewIds } = adaptive.selectQuestions(grade, subject, num, req.user, { ...bankOptions, includeSeen: true }));
+            }
+        } else if (questionBank.countUnseen(grade, subject, userId, bankOptions) < num * 2) {
+            refillQuestionBankInBackground(grade, subject, num, bankOptions);
         }
 
-        // Check API key
-        if (!process.env.GROQ_API_KEY) {
-            console.error('❌ No GROQ_API_KEY found in .env');
-            return res.status(500).json({
-                success: false,
-                error: 'Server not configured properly'
-            });
+        if (questions.length === 0) {
+            throw new Error(approvedOnly
+                ? 'No approved questions for this grade and subject'
+                : 'Question bank is empty and AI generation failed');
         }
 
-        console.log(`📚 Generating: Grade ${grade}, Subject: ${subject}, Count: ${num}`);
+        questionBank.markServed(questions, userId);
 
-        // Create prompt
-        const prompt = createPrompt(grade, subject, num);
-        
-        // Call Groq API
-        const aiResponse = await callGroqAPI(prompt);
-        
-        // Parse response
-        const questions = parseAIResponse(aiResponse, num);
-        
-        console.log(`✅ Generated ${questions.length} questions`);
+        // Answers stay on the server; the signed game token is used to check them and to submit the run
+        const { session, token } = gameSessions.createSession({
+            userId: userId,
+            grade: parseInt(grade),
+            subject: subject,
+            difficulty: req.body.difficulty,
+            gameSpeed: req.body.gameSpeed,
+            questionTimer: req.body.questionTimer === true,
+            questions: questions,
+            mode: mode,
+            level: level,
+            language: language,
+            topic: topic,
+            approvedOnly: approvedOnly
+        });
+
+        const sources = countSources(questions);
+        console.log(`✅ Served ${questions.length} questions (${generation.generated} newly generated, ${reviewIds.size} reviews, ${sources.fallback} fallback)`);
         
         res.json({
             success: true,
             count: questions.length,
-            questions: questions
+            generated: generation.generated,
+            generation: generation,
+            sources: sources,
+            level: level,
+            gameToken: token,
+            seed: session.seed,
+            questions: questions.map(q => ({
+                ...questionBank.toClientQuestion(q),
+                review: reviewIds.has(q.id)
+            }))
         });
 
     } catch (error) {
@@ -112,62 +282,1782 @@ app.post('/api/generate-questions', async (req, res) => {
     }
 });
 
-// New endpoint for AI explanation
+// Streaming variant: NDJSON, one event per line, so the game can start after the first questions.
+// Events: { type: 'start', gameToken, seed, level, total }, { type: 'question', question },
+// { type: 'done', count, generation, sources } or { type: 'error', error }
+app.post('/api/generate-questions/stream', optionalAuth, async (req, res) => {
+    console.log('📥 Received streaming question request...');
+
+    const params = parseGenerationRequest(req);
+    if (params.error) {
+        return res.status(400).json({
+            success: false,
+            error: params.error
+        });
+    }
+
+    const { grade, subject, num, approvedOnly, level, language, topic, userId, mode } = params;
+    const bankOptions = { approvedOnly, level, language, topic };
+
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    // Tell proxies (nginx) not to buffer the stream
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    // Keep generating after a disconnect (the bank still gets the questions), just stop writing
+    let clientGone = false;
+    res.on('close', () => { clientGone = true; });
+    const send = event => {
+        if (!clientGone) res.write(JSON.stringify(event) + '\n');
+    };
+
+    const served = [];
+    const servedIds = new Set();
+    let session = null;
+
+    // Register questions with the game session and send them right away
+    const serve = (questions, reviewIds = new Set()) => {
+        const fresh = questions.filter(q => !servedIds.has(q.id)).slice(0, num - served.length);
+        if (fresh.length === 0) return;
+
+        fresh.forEach(q => servedIds.add(q.id));
+        served.push(...fresh);
+        gameSessions.addQuestions(session, fresh);
+        questionBank.markServed(fresh, userId);
+
+        for (const q of fresh) {
+            send({ type: 'question', question: { ...questionBank.toClientQuestion(q), review: reviewIds.has(q.id) } });
+        }
+    };
+
+    // Seen questions are fine once nothing new is left
+    const serveFromBank = () => serve(questionBank.pickQuestions(grade, subject, num - served.length, userId, {
+        ...bankOptions,
+        includeSeen: true,
+        excludeIds: servedIds
+    }));
+
+    try {
+        console.log(`📚 Streaming: Grade ${grade}, Subject: ${subject}, Count: ${num}, Level: ${level}, Language: ${language}, Mode: ${mode}${topic ? `, Topic: ${topic}` : ''}${approvedOnly ? ' (approved only)' : ''}`);
+
+        const { questions, reviewIds } = adaptive.selectQuestions(grade, subject, num, req.user, bankOptions);
+        // Questions join the session's answer key as they are served
+        const created = gameSessions.createSession({
+            userId: userId,
+            grade: parseInt(grade),
+            subject: subject,
+            difficulty: req.body.difficulty,
+            gameSpeed: req.body.gameSpeed,
+            questionTimer: req.body.questionTimer === true,
+            questions: [],
+            mode: mode,
+            level: level,
+            language: language,
+            topic: topic,
+            approvedOnly: approvedOnly
+        });
+        session = created.session;
+
+        send({ type: 'start', gameToken: created.token, seed: created.session.seed, level: level, total: num });
+        serve(questions, reviewIds);
+
+        const generation = { requested: 0, generated: 0, batches: 0, failedBatches: 0 };
+
+        if (served.length < num) {
+            // Same rules as the regular route: AI questions can't fill an approved-only game
+            if (!approvedOnly) {
+                generation.requested = num - served.length;
+                try {
+                    const result = await topUpQuestionBank(grade, subject, generation.requested, bankOptions, llm, added => serve(added));
+                    generation.generated = result.added.length;
+                    generation.batches = result.batches;
+                    generation.failedBatches = result.failedBatches;
+                } catch (error) {
+                    console.error('⚠️ Bank top-up failed:', error.message);
+                }
+            }
+
+            serveFromBank();
+
+            if (served.length < num && llm.name !== 'offline') {
+                await topUpQuestionBank(grade, subject, num - served.length, bankOptions, offlineProvider, added => serve(added));
+                serveFromBank();
+            }
+        } else if (questionBank.countUnseen(grade, subject, userId, bankOptions) < num * 2) {
+            refillQuestionBankInBackground(grade, subject, num, bankOptions);
+        }
+
+        if (served.length === 0) {
+            throw new Error(approvedOnly
+                ? 'No approved questions for this grade and subject'
+                : 'Question bank is empty and AI generation failed');
+        }
+
+        const sources = countSources(served);
+        console.log(`✅ Streamed ${served.length} questions (${generation.generated} newly generated, ${sources.fallback} fallback)`);
+
+        send({ type: 'done', count: served.length, generation: generation, sources: sources });
+    } catch (error) {
+        console.error('❌ Streaming error:', error.message);
+        send({ type: 'error', error: 'Failed to generate questions', message: error.message });
+    }
+
+    res.end();
+});
+
+// Structured explanation of a question's answer (see explanations.js).
+// Cached per question, so the LLM is only asked once; teacher-written explanations are used as they are.
+// Bank questions need the `gameToken` of the game that answered them
 app.post('/api/explain-answer', async (req, res) => {
     console.log('📥 Received explanation request...');
     
     try {
-        const { question, answer, userAnswer } = req.body;
+        const { question, answer, language = locales.DEFAULT_LANGUAGE } = req.body;
+        
+        // Validation (numeric answers can be 0)
+        if (!question || answer === undefined || answer === null || answer === '') {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing question or answer'
+            });
+        }
+
+        const languageError = validateLanguage(language);
+        if (languageError) {
+            return res.status(400).json({
+                success: false,
+                error: languageError
+            });
+        }
+
+        const resolved = explanations.resolveQuestion(question, answer, gameSessions.getSession(req.body.gameToken));
+        if (resolved.error) {
+            return res.status(resolved.status).json({
+                success: false,
+                error: resolved.error
+            });
+        }
+
+        const cached = explanations.getCached(resolved, language);
+        if (cached) {
+            return res.json({
+                success: true,
+                explanation: cached,
+                cached: true
+            });
+        }
+
+        // Check the LLM provider (the offline provider is always ready)
+        if (!llm.isConfigured()) {
+            console.error(`❌ LLM provider "${llm.name}" is not configured (missing API key?)`);
+            return res.status(500).json({
+                success: false,
+                error: 'Server not configured properly'
+            });
+        }
+
+        console.log(`📝 Explaining answer with ${llm.name}...`);
+
+        const explanation = explanations.normalizeExplanation(
+            await llm.explainAnswer(resolved.question, resolved.answer, language),
+            resolved.question,
+            llm.source
+        );
+        if (!explanation) {
+            throw new Error('Provider returned an empty explanation');
+        }
+
+        // Template explanations of the offline provider aren't worth keeping once an AI provider is set up
+        if (llm.source === 'ai') {
+            explanations.saveExplanation(resolved, explanation, language);
+        }
+        
+        console.log(`✅ Generated explanation`);
+        
+        res.json({
+            success: true,
+            explanation: explanation,
+            cached: false
+        });
+
+    } catch (error) {
+        console.error('❌ Explanation error:', error.message);
         
-        // Validation
-        if (!question || !answer) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate explanation',
+            message: error.message
+        });
+    }
+});
+
+// Follow-up questions about an explained question ("ask about this").
+// The client keeps the conversation and sends it every time; the server adds the question and its explanation
+app.post('/api/explain-answer/chat', async (req, res) => {
+    try {
+        const { question, answer, language = locales.DEFAULT_LANGUAGE } = req.body;
+
+        if (!question || answer === undefined || answer === null || answer === '') {
             return res.status(400).json({
                 success: false,
                 error: 'Missing question or answer'
             });
         }
 
-        // Check API key
-        if (!process.env.GROQ_API_KEY) {
-            console.error('❌ No GROQ_API_KEY found in .env');
+        const languageError = validateLanguage(language);
+        if (languageError) {
+            return res.status(400).json({
+                success: false,
+                error: languageError
+            });
+        }
+
+        const resolved = explanations.resolveQuestion(question, answer, gameSessions.getSession(req.body.gameToken));
+        const chat = resolved.error ? resolved : explanations.normalizeChat(req.body.messages);
+        if (chat.error) {
+            return res.status(resolved.status || 400).json({
+                success: false,
+                error: chat.error
+            });
+        }
+
+        if (!llm.isConfigured()) {
+            console.error(`❌ LLM provider "${llm.name}" is not configured (missing API key?)`);
             return res.status(500).json({
                 success: false,
                 error: 'Server not configured properly'
             });
         }
 
-        console.log(`📝 Explaining answer...`);
+        const reply = await llm.answerFollowUp(resolved.question, resolved.answer, explanations.getCached(resolved, language), chat.messages, language);
+
+        res.json({
+            success: true,
+            reply: reply
+        });
+    } catch (error) {
+        console.error('❌ Follow-up chat error:', error.message);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to answer the question',
+            message: error.message
+        });
+    }
+});
+
+// ========== GAME SESSION ROUTES ==========
+
+// Check one answer against the server-side answer key
+// `answer` is null when the question countdown ran out; `timeMs` is how long the student took
+app.post('/api/game/answer', (req, res) => {
+    const { gameToken, questionId, answer, timeMs } = req.body;
+    const session = gameSessions.getSession(gameToken);
+
+    if (!session) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired game session'
+        });
+    }
+
+    const result = gameSessions.checkAnswer(session, questionId, answer === undefined ? null : answer, timeMs);
+    if (result.error) {
+        return res.status(result.status).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    // Spaced repetition: missed questions come back soon, known ones less and less often
+    if (session.userId) {
+        adaptive.recordAnswer(session.userId, questionId, result.correct);
+    }
+
+    // The player's stats are counted here, so the game doesn't send a second request for every answer
+    const user = session.userId ? db.collection('users').find(u => u.id === session.userId) : null;
+    if (user) {
+        const stored = questionBank.getQuestion(questionId);
+        recordQuestionStats(user, {
+            subject: stored ? stored.subject : session.subject,
+            correct: result.correct,
+            questionId,
+            grade: session.grade,
+            timeMs,
+            hintUsed: session.hintedQuestions.has(questionId),
+            timedOut: result.timedOut,
+            verified: true
+        });
+        db.save();
+    }
+
+    // Classroom quiz: the teacher's dashboard shows every student's answer
+    if (session.live) {
+        const live = liveSessions.getLiveSession(session.live.sessionId);
+        if (live) liveSessions.recordResponse(live, session.live.participantId, questionId, result.answer, result.correct);
+    }
+
+    res.json({
+        success: true,
+        correct: result.correct,
+        correctAnswer: result.correctAnswer,
+        bonus: result.bonus,
+        timedOut: result.timedOut,
+        livesLeft: result.livesLeft
+    });
+});
+
+// Hint for the current question: { disabled }, { range }, { prefix, length } or { first } depending on its type
+app.post('/api/game/hint', (req, res) => {
+    const { gameToken, questionId } = req.body;
+    const session = gameSessions.getSession(gameToken);
+
+    if (!session) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired game session'
+        });
+    }
+
+    const result = gameSessions.useHint(session, questionId);
+    if (result.error) {
+        return res.status(result.status).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json({
+        success: true,
+        ...result.hint
+    });
+});
+
+// More questions for an endless game: bank questions the game hasn't served yet, topped up by the LLM provider.
+// An empty list means nothing new is left; the game goes on with pipes only
+app.post('/api/game/questions', async (req, res) => {
+    const { gameToken } = req.body;
+    const num = Math.min(Math.max(parseInt(req.body.num) || 10, 1), 20);
+    const session = gameSessions.getSession(gameToken);
+
+    if (!session) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired game session'
+        });
+    }
+
+    if (!gameModes.getMode(session.mode).endless) {
+        return res.status(400).json({
+            success: false,
+            error: 'Only endless games can fetch more questions'
+        });
+    }
+
+    if (session.status !== 'active') {
+        return res.status(409).json({
+            success: false,
+            error: 'This game is already over'
+        });
+    }
+
+    const count = Math.min(num, gameModes.MAX_ENDLESS_QUESTIONS - session.answerKey.size);
+    const { grade, subject, level, language, topic, approvedOnly, userId } = session;
+    const pick = () => count > 0
+        ? questionBank.pickQuestions(grade, subject, count, userId, {
+            approvedOnly,
+            level,
+            language,
+            topic,
+            includeSeen: true,
+            excludeIds: new Set(session.answerKey.keys())
+        })
+        : [];
+
+    try {
+        let questions = pick();
+        if (questions.length < count && !approvedOnly) {
+            try {
+                await topUpQuestionBank(grade, subject, count - questions.length, { level: level || 'medium', language, topic });
+            } catch (error) {
+                console.error('⚠️ Bank top-up failed:', error.message);
+            }
+            questions = pick();
+        }
+
+        gameSessions.addQuestions(session, questions);
+        questionBank.markServed(questions, userId);
+        console.log(`♾️ Endless game: served ${questions.length} more questions (${session.answerKey.size} in total)`);
+
+        res.json({
+            success: true,
+            count: questions.length,
+            questions: questions.map(questionBank.toClientQuestion)
+        });
+    } catch (error) {
+        console.error('❌ Endless questions error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load more questions'
+        });
+    }
+});
+
+// ========== CURRICULUM ROUTES ==========
+
+// Chapters and topics per grade and subject (curriculum.js) for the menu's topic picker; ?grade= for one grade
+app.get('/api/curriculum', (req, res) => {
+    const grade = req.query.grade !== undefined ? parseInt(req.query.grade) : null;
+    const gradeError = grade !== null ? validateGrade(grade) : null;
+
+    if (gradeError) {
+        return res.status(400).json({
+            success: false,
+            error: gradeError
+        });
+    }
+
+    res.json({
+        success: true,
+        curriculum: curriculum.getCurriculum(grade)
+    });
+});
+
+// ========== AUTH ROUTES ==========
+
+// Register a new account
+app.post('/api/auth/register', async (req, res) => {
+    console.log('📥 Received register request...');
+
+    try {
+        const { username, password, birthDate, gender } = req.body;
+
+        const validationError = validateRegistration(username, password, birthDate, gender);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: translateFor(req, validationError)
+            });
+        }
+
+        if (findUserByUsername(username)) {
+            return res.status(409).json({
+                success: false,
+                error: translateFor(req, 'usernameTaken')
+            });
+        }
+
+        // Teachers register with the invite code configured in .env
+        const { teacherCode } = req.body;
+        const isTeacher = Boolean(teacherCode) && Boolean(process.env.TEACHER_CODE) && teacherCode === process.env.TEACHER_CODE;
+        if (teacherCode && !isTeacher) {
+            return res.status(400).json({
+                success: false,
+                error: translateFor(req, 'wrongTeacherCode')
+            });
+        }
+
+        const user = await createUser({ username, password, birthDate, gender, role: isTeacher ? 'teacher' : 'student' });
+        const token = createSession(user.id);
+
+        console.log(`✅ Registered ${user.role}: ${user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: translateFor(req, 'registered'),
+            token: token,
+            user: publicUser(user)
+        });
+
+    } catch (error) {
+        console.error('❌ Register error:', error.message);
+
+        res.status(500).json({
+            success: false,
+            error: translateFor(req, 'registerFailed'),
+            message: error.message
+        });
+    }
+});
+
+// Log in with username and password
+app.post('/api/auth/login', async (req, res) => {
+    console.log('📥 Received login request...');
+
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({
+                success: false,
+                error: translateFor(req, 'missingFields')
+            });
+        }
+
+        const user = findUserByUsername(username);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                error: translateFor(req, 'accountNotFound')
+            });
+        }
+
+        if (!(await verifyPassword(password, user.passwordHash))) {
+            return res.status(401).json({
+                success: false,
+                error: translateFor(req, 'wrongPassword')
+            });
+        }
+
+        const token = createSession(user.id);
+
+        console.log(`✅ User logged in: ${user.username}`);
+
+        res.json({
+            success: true,
+            message: translateFor(req, 'loggedIn'),
+            token: token,
+            user: publicUser(user)
+        });
+
+    } catch (error) {
+        console.error('❌ Login error:', error.message);
+
+        res.status(500).json({
+            success: false,
+            error: translateFor(req, 'loginFailed'),
+            message: error.message
+        });
+    }
+});
+
+// One-time import of an account that only existed in the browser's localStorage
+app.post('/api/auth/import', async (req, res) => {
+    console.log('📥 Received account import request...');
+
+    try {
+        const { username, password, birthDate, gender, createdAt, stats, settings } = req.body;
+
+        const validationError = validateRegistration(username, password, birthDate, gender);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: translateFor(req, validationError)
+            });
+        }
+
+        if (findUserByUsername(username)) {
+            return res.status(409).json({
+                success: false,
+                error: translateFor(req, 'usernameTaken')
+            });
+        }
+
+        const user = await createUser({ username, password, birthDate, gender, createdAt, stats, settings });
+        const token = createSession(user.id);
+
+        console.log(`✅ Imported local account: ${user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: translateFor(req, 'loggedIn'),
+            token: token,
+            user: publicUser(user)
+        });
+
+    } catch (error) {
+        console.error('❌ Import error:', error.message);
+
+        res.status(500).json({
+            success: false,
+            error: translateFor(req, 'importFailed'),
+            message: error.message
+        });
+    }
+});
+
+// Log out (invalidate the current session token)
+app.post('/api/auth/logout', requireAuth, (req, res) => {
+    db.remove('sessions', s => s.tokenHash === req.session.tokenHash);
+    db.save();
+
+    res.json({
+        success: true,
+        message: translateFor(req, 'loggedOut')
+    });
+});
+
+// Current user profile, stats and settings
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        user: publicUser(req.user)
+    });
+});
+
+// Delete the current account (password confirmation required)
+app.delete('/api/auth/account', requireAuth, async (req, res) => {
+    console.log('📥 Received account deletion request...');
+
+    try {
+        const { password } = req.body;
+
+        if (!password || !(await verifyPassword(password, req.user.passwordHash))) {
+            return res.status(401).json({
+                success: false,
+                error: translateFor(req, 'wrongPassword')
+            });
+        }
+
+        db.remove('users', u => u.id === req.user.id);
+        db.remove('sessions', s => s.userId === req.user.id);
+        leaderboard.removeUserScores(req.user.id);
+        adaptive.removeUserItems(req.user.id);
+        replays.removeUserReplays(req.user.id);
+        analytics.removeUserEvents(req.user.id);
+        classes.removeUser(req.user.id);
+        db.save();
+
+        console.log(`🗑️ Deleted account: ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: translateFor(req, 'accountDeleted')
+        });
+
+    } catch (error) {
+        console.error('❌ Delete account error:', error.message);
+
+        res.status(500).json({
+            success: false,
+            error: translateFor(req, 'deleteAccountFailed'),
+            message: error.message
+        });
+    }
+});
+
+// ========== USER DATA ROUTES ==========
+
+// Update settings
+app.put('/api/users/me/settings', requireAuth, (req, res) => {
+    const { settings } = req.body;
+
+    if (!settings || typeof settings !== 'object') {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing settings'
+        });
+    }
+
+    // Start from the defaults so settings added later (e.g. questionTimer) can be saved by older accounts
+    req.user.settings = mergeKnownFields({ ...DEFAULT_SETTINGS, ...req.user.settings }, settings);
+    db.save();
+
+    res.json({
+        success: true,
+        user: publicUser(req.user)
+    });
+});
+
+// Record one answered question (running totals + an event for the progress history) of a game played
+// without a game session; answers checked by /api/game/answer are counted there.
+// Only stats, like game-stats: `correct` comes from the client. `playedAt` is sent by the client's offline sync queue
+app.post('/api/users/me/question-stats', requireAuth, (req, res) => {
+    const { subject, correct, questionId, grade, timeMs, hintUsed, timedOut, playedAt } = req.body;
+
+    if (!subject || typeof subject !== 'string' || typeof correct !== 'boolean') {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing subject or correct flag'
+        });
+    }
+
+    recordQuestionStats(req.user, { subject, correct, questionId, grade: parseInt(grade), timeMs, hintUsed, timedOut, playedAt });
+    db.save();
+
+    res.json({
+        success: true,
+        user: publicUser(req.user)
+    });
+});
+
+// Record one finished game played without a game session (the score can't be checked).
+// Only stats: every field comes from the client, so badges are only awarded for verified runs (leaderboard/scores)
+app.post('/api/users/me/game-stats', requireAuth, (req, res) => {
+    const score = Number(req.body.score);
+    const { grade, subject, difficulty, gameMode, questionsAnswered, correctAnswers, pipes, hintsUsed, won, durationMs, playedAt } = req.body;
+
+    if (!Number.isInteger(score) || score < 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid score'
+        });
+    }
+
+    if (gameMode !== undefined && !gameModes.isMode(gameMode)) {
+        return res.status(400).json({
+            success: false,
+            error: `Game mode must be one of: ${gameModes.MODE_IDS.join(', ')}`
+        });
+    }
+
+    recordGameStats(req.user, score, {
+        grade: parseInt(grade),
+        subject,
+        difficulty,
+        gameMode,
+        questionsAnswered,
+        correctAnswers,
+        pipes,
+        hintsUsed,
+        won,
+        durationMs,
+        playedAt
+    });
+    db.save();
+
+    res.json({
+        success: true,
+        user: publicUser(req.user)
+    });
+});
+
+// Progress dashboard: accuracy over time, weakest topics, streaks and recent games
+app.get('/api/users/me/analytics', requireAuth, (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+    res.json({
+        success: true,
+        analytics: analytics.getDashboard(req.user.id, { days })
+    });
+});
+
+// ========== LEADERBOARD ROUTES ==========
+
+// Submit a finished run; the server recomputes the score from the run log and its own answer records.
+// An optional replay of the run is stored for teachers, also when the run is rejected
+app.post('/api/leaderboard/scores', requireAuth, (req, res) => {
+    const { gameToken, runLog, replay } = req.body;
+    const session = gameSessions.getSession(gameToken);
+
+    if (!session) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired game session'
+        });
+    }
+
+    if (session.userId !== req.user.id) {
+        return res.status(403).json({
+            success: false,
+            error: translateFor(req, 'gameNotYours')
+        });
+    }
+
+    if (session.status === 'finished') {
+        return res.status(409).json({
+            success: false,
+            error: 'This game was already submitted'
+        });
+    }
+
+    const replayError = replay ? replays.validateReplay(replay) : null;
+    if (replayError) {
+        console.warn(`⚠️ Ignored replay from ${req.user.username}: ${replayError}`);
+    }
+    const keepReplay = replay && !replayError;
+
+    const result = gameSessions.validateRun(session, runLog);
+    gameSessions.finishSession(session);
+
+    if (result.reasons.length > 0) {
+        console.warn(`🚫 Rejected run from ${req.user.username}: ${result.reasons.join('; ')}`);
+        if (keepReplay) {
+            replays.saveReplay(req.user, session, replay, { score: result.score, rejected: true, reasons: result.reasons });
+        }
+        return res.status(422).json({
+            success: false,
+            error: 'Run rejected',
+            reasons: result.reasons
+        });
+    }
+
+    const { grade, subject, difficulty, challenge } = session;
+    const gameMode = session.mode;
+    const score = result.score;
+
+    // Won = every question the game served was answered without running out of lives (see gameModes.isWon)
+    const won = gameModes.isWon(gameMode, {
+        served: session.answerKey.size,
+        answered: session.answers.length,
+        correct: result.correctAnswers
+    });
+    const game = recordGameStats(req.user, score, {
+        grade,
+        subject,
+        difficulty,
+        mode: challenge ? 'daily' : session.live ? 'live' : session.assignment ? 'assignment' : 'normal',
+        gameMode,
+        questionsAnswered: session.answers.length,
+        correctAnswers: result.correctAnswers,
+        pipes: result.pipes,
+        hintsUsed: session.hintedQuestions.size,
+        won: won,
+        durationMs: runLog.duration,
+        verified: true
+    });
+    const unlocked = achievements.evaluate(req.user, game);
+    // Practice games count in the stats but not on the leaderboard, and neither do live classroom games or
+    // homework (everyone plays the set the teacher picked, the teacher's dashboard has the results)
+    const entry = gameModes.getMode(gameMode).ranked && !session.live && !session.assignment
+        ? leaderboard.recordScore(req.user, { score, grade, subject, difficulty, challenge, gameMode })
+        : null;
+
+    const mine = entry
+        ? leaderboard.getRankings({ grade, subject, difficulty, period: 'week', gameMode }).find(r => r.userId === req.user.id)
+        : null;
+    const dailyMine = challenge
+        ? leaderboard.getRankings({ grade, challenge }).find(r => r.userId === req.user.id)
+        : null;
+    const savedReplay = keepReplay ? replays.saveReplay(req.user, session, replay, { scoreId: entry ? entry.id : null, score }) : null;
+    // Homework only counts games the server verified, so results are recorded here rather than in game-stats
+    const assignment = session.assignment ? classes.getAssignment(session.assignment) : null;
+    const homework = assignment ? classes.recordAttempt(assignment, req.user.id, { score, correctAnswers: result.correctAnswers }) : null;
+    db.save();
+
+    console.log(`🏆 ${req.user.username} scored ${score} (grade ${grade}, ${subject}, ${difficulty}, ${gameMode})`);
+
+    res.status(201).json({
+        success: true,
+        scoreId: entry ? entry.id : null,
+        score: score,
+        weeklyRank: mine ? mine.rank : null,
+        dailyRank: dailyMine ? dailyMine.rank : null,
+        replayId: savedReplay ? savedReplay.id : null,
+        assignment: homework ? { id: assignment.id, percent: homework.percent, minScore: assignment.minScore, completed: Boolean(homework.completedAt), late: homework.late } : null,
+        unlocked: unlocked,
+        user: publicUser(req.user)
+    });
+});
+
+// Top players, filtered by grade, subject, difficulty, period (week or all) and game mode (classic by default)
+app.get('/api/leaderboard', optionalAuth, (req, res) => {
+    const grade = req.query.grade ? parseInt(req.query.grade) : null;
+    const { subject, difficulty } = req.query;
+    const gameMode = req.query.gameMode || gameModes.DEFAULT_MODE;
+    const period = req.query.period || 'all';
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    if (!leaderboard.PERIODS.includes(period)) {
+        return res.status(400).json({
+            success: false,
+            error: `Period must be one of: ${leaderboard.PERIODS.join(', ')}`
+        });
+    }
+
+    if (difficulty && !leaderboard.DIFFICULTIES.includes(difficulty)) {
+        return res.status(400).json({
+            success: false,
+            error: `Difficulty must be one of: ${leaderboard.DIFFICULTIES.join(', ')}`
+        });
+    }
+
+    if (!gameModes.isMode(gameMode) || !gameModes.getMode(gameMode).ranked) {
+        return res.status(400).json({
+            success: false,
+            error: `Game mode must be one of: ${gameModes.MODE_IDS.filter(id => gameModes.getMode(id).ranked).join(', ')}`
+        });
+    }
+
+    const rankings = leaderboard.getRankings({ grade, subject, difficulty, period, gameMode });
+    const me = req.user ? rankings.find(r => r.userId === req.user.id) || null : null;
+
+    res.json({
+        success: true,
+        period: period,
+        gameMode: gameMode,
+        totalPlayers: rankings.length,
+        entries: rankings.slice(0, limit),
+        me: me
+    });
+});
+
+// ========== DAILY CHALLENGE ROUTES ==========
+
+// Today's challenge for a grade: same seed, same questions and same settings for everyone
+app.post('/api/daily-challenge', optionalAuth, async (req, res) => {
+    const grade = parseInt(req.body.grade);
+    const gradeError = validateGrade(grade);
+    if (gradeError) {
+        return res.status(400).json({
+            success: false,
+            error: gradeError
+        });
+    }
+
+    try {
+        const challenge = await dailyChallenge.getOrCreateChallenge(grade, (g, subject, num) => pickSharedQuestions(g, subject, num));
+        const questions = dailyChallenge.getQuestions(challenge);
+        const userId = req.user ? req.user.id : null;
+
+        const { token } = gameSessions.createSession({
+            userId: userId,
+            grade: grade,
+            subject: 'all',
+            difficulty: challenge.difficulty,
+            gameSpeed: challenge.gameSpeed,
+            questionTimer: challenge.questionTimer,
+            questions: questions,
+            seed: challenge.seed,
+            challenge: challenge.date
+        });
+
+        const rankings = leaderboard.getRankings({ grade, challenge: challenge.date });
+        const me = userId ? rankings.find(r => r.userId === userId) || null : null;
+
+        console.log(`📅 Daily challenge ${challenge.date} (grade ${grade}) started${req.user ? ` by ${req.user.username}` : ''}`);
+
+        res.json({
+            success: true,
+            challenge: dailyChallenge.toClientChallenge(challenge),
+            gameToken: token,
+            seed: challenge.seed,
+            me: me,
+            questions: questions.map(questionBank.toClientQuestion)
+        });
+    } catch (error) {
+        console.error('❌ Daily challenge error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load the daily challenge'
+        });
+    }
+});
+
+// Daily challenge leaderboard for a grade (today unless a date is given)
+app.get('/api/daily-challenge/leaderboard', optionalAuth, (req, res) => {
+    const grade = parseInt(req.query.grade);
+    const date = req.query.date || dailyChallenge.dateKey();
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const error = validateGrade(grade) || (dailyChallenge.isDateKey(date) ? null : 'Date must be YYYY-MM-DD');
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error
+        });
+    }
+
+    const rankings = leaderboard.getRankings({ grade, challenge: date });
+    const me = req.user ? rankings.find(r => r.userId === req.user.id) || null : null;
+
+    res.json({
+        success: true,
+        date: date,
+        totalPlayers: rankings.length,
+        entries: rankings.slice(0, limit),
+        me: me
+    });
+});
+
+// ========== REPLAY ROUTES ==========
+
+// Students see their own replays; teachers can look up any student and filter suspicious runs
+app.get('/api/replays', requireAuth, (req, res) => {
+    const isTeacher = ['teacher', 'admin'].includes(req.user.role);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const found = replays.listReplays({
+        userId: isTeacher ? null : req.user.id,
+        username: isTeacher ? req.query.username : null,
+        flagged: req.query.flagged === 'true'
+    });
+
+    res.json({
+        success: true,
+        total: found.length,
+        replays: found.slice(0, limit).map(replays.toSummary)
+    });
+});
+
+// Full recording for playback
+app.get('/api/replays/:id', requireAuth, (req, res) => {
+    const stored = replays.getReplay(req.params.id);
+    if (!stored) {
+        return res.status(404).json({
+            success: false,
+            error: 'Replay not found'
+        });
+    }
+
+    if (stored.userId !== req.user.id && !['teacher', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            error: translateFor(req, 'forbidden')
+        });
+    }
+
+    res.json({
+        success: true,
+        summary: replays.toSummary(stored),
+        replay: stored.replay
+    });
+});
+
+// ========== QUESTION AUTHORING ROUTES (TEACHER/ADMIN) ==========
+
+// List bank questions with filters: grade, subject, status, source, search
+app.get('/api/questions', requireRole('teacher', 'admin'), (req, res) => {
+    const { subject, status, source, search, topic } = req.query;
+    const grade = req.query.grade ? parseInt(req.query.grade) : null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (status && !questionBank.STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            error: `Status must be one of: ${questionBank.STATUSES.join(', ')}`
+        });
+    }
+
+    const questions = questionBank.listQuestions({ grade, subject, status, source, search, topic });
+
+    res.json({
+        success: true,
+        total: questions.length,
+        count: Math.max(0, Math.min(limit, questions.length - offset)),
+        questions: questions.slice(offset, offset + limit).map(questionBank.toAdminQuestion)
+    });
+});
+
+// Create a question (teacher questions are approved immediately)
+app.post('/api/questions', requireRole('teacher', 'admin'), (req, res) => {
+    const grade = parseInt(req.body.grade);
+    const question = normalizeQuestionInput(req.body);
+
+    const error = validateGrade(grade) || questionBank.validateQuestion(question);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error
+        });
+    }
+
+    if (questionBank.isDuplicate(grade, question.text)) {
+        return res.status(409).json({
+            success: false,
+            error: 'A question with the same text already exists for this grade'
+        });
+    }
+    if (question.explanation !== undefined) {
+        question.explanation = explanations.normalizeExplanation(question.explanation, question, 'teacher');
+    }
+
+    const [created] = questionBank.addQuestions(grade, question.subject, [question], 'teacher', {
+        createdBy: req.user.id
+    });
+
+    console.log(`📝 ${req.user.username} created question ${created.id}`);
+
+    res.status(201).json({
+        success: true,
+        question: questionBank.toAdminQuestion(created)
+    });
+});
+
+// Import a question set from CSV, JSON, GIFT or Aiken; invalid rows are reported back, not saved
+app.post('/api/questions/import', requireRole('teacher', 'admin'), (req, res) => {
+    const { format, content, subject, language, dryRun = false } = req.body;
+    const defaultGrade = req.body.grade !== undefined ? parseInt(req.body.grade) : undefined;
+
+    if (!questionFormats.FORMATS[format]) {
+        return res.status(400).json({
+            success: false,
+            error: `Format must be one of: ${Object.keys(questionFormats.FORMATS).join(', ')}`
+        });
+    }
+
+    if (typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing file content'
+        });
+    }
+
+    const { items, errors } = questionFormats.parse(format, content);
+    const valid = [];
+    const duplicates = [];
+    const seenInFile = new Set();
+
+    for (const item of items) {
+        const grade = item.question.grade !== undefined ? parseInt(item.question.grade) : defaultGrade;
+        const question = normalizeQuestionInput({
+            ...item.question,
+            subject: item.question.subject || subject,
+            language: item.question.language || language
+        });
+
+        const error = validateGrade(grade) || questionBank.validateQuestion(question);
+        if (error) {
+            errors.push({ row: item.row, line: item.line, error: error });
+            continue;
+        }
+
+        const key = `${grade}:${questionBank.normalizeText(question.text)}`;
+        if (seenInFile.has(key) || questionBank.isDuplicate(grade, question.text)) {
+            duplicates.push({ row: item.row, line: item.line, text: question.text });
+            continue;
+        }
+        seenInFile.add(key);
+        if (question.explanation !== undefined) {
+            question.explanation = explanations.normalizeExplanation(question.explanation, question, 'import');
+        }
+        valid.push({ grade, question });
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+
+    if (valid.length === 0 && errors.length > 0 && duplicates.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'No valid questions in file',
+            errors: errors
+        });
+    }
+
+    let imported = [];
+    if (!dryRun) {
+        // Group by grade; subject 'all' keeps each row's own subject
+        const byGrade = new Map();
+        for (const { grade, question } of valid) {
+            if (!byGrade.has(grade)) byGrade.set(grade, []);
+            byGrade.get(grade).push(question);
+        }
+        for (const [grade, questions] of byGrade) {
+            imported = imported.concat(questionBank.addQuestions(grade, 'all', questions, 'import', {
+                createdBy: req.user.id
+            }));
+        }
+        console.log(`📥 ${req.user.username} imported ${imported.length} questions (${format})`);
+    }
+
+    res.json({
+        success: true,
+        dryRun: Boolean(dryRun),
+        imported: imported.length,
+        valid: valid.length,
+        duplicates: duplicates,
+        errors: errors,
+        questions: dryRun
+            ? valid.map(({ grade, question }) => ({ grade, ...question }))
+            : imported.map(questionBank.toAdminQuestion)
+    });
+});
+
+// Export bank questions (same filters as the list) as a downloadable file
+app.get('/api/questions/export', requireRole('teacher', 'admin'), (req, res) => {
+    const format = req.query.format || 'csv';
+    const { subject, status, source, search, topic } = req.query;
+    const grade = req.query.grade ? parseInt(req.query.grade) : null;
+    const info = questionFormats.FORMATS[format];
+
+    if (!info) {
+        return res.status(400).json({
+            success: false,
+            error: `Format must be one of: ${Object.keys(questionFormats.FORMATS).join(', ')}`
+        });
+    }
+
+    const matching = questionBank.listQuestions({ grade, subject, status, source, search, topic });
+    // CSV, GIFT and Aiken only describe multiple choice questions; JSON keeps every type
+    const questions = matching
+        .filter(q => questionFormats.supportsType(format, questionTypes.getType(q)))
+        .sort((a, b) => a.grade - b.grade || a.subjectKey.localeCompare(b.subjectKey));
+
+    const filename = `flappy-brain-questions${grade ? `-grade${grade}` : ''}.${info.extension}`;
+    res.set('Content-Type', info.contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('X-Skipped-Questions', String(matching.length - questions.length));
+    res.send(questionFormats.serialize(format, questions));
+});
+
+// Edit a question
+app.put('/api/questions/:id', requireRole('teacher', 'admin'), (req, res) => {
+    const existing = questionBank.getQuestion(req.params.id);
+    if (!existing) {
+        return res.status(404).json({
+            success: false,
+            error: 'Question not found'
+        });
+    }
+
+    const changes = normalizeQuestionInput(req.body, questionTypes.getType(existing));
+    const grade = req.body.grade !== undefined ? parseInt(req.body.grade) : existing.grade;
+    const merged = {
+        subject: existing.subject,
+        text: existing.text,
+        type: questionTypes.getType(existing),
+        options: existing.options,
+        answer: existing.answer,
+        ...questionTypes.answerFields(existing),
+        ...changes
+    };
+
+    const error = validateGrade(grade) || questionBank.validateQuestion(merged);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error
+        });
+    }
+
+    if (questionBank.isDuplicate(grade, merged.text, existing.id)) {
+        return res.status(409).json({
+            success: false,
+            error: 'A question with the same text already exists for this grade'
+        });
+    }
+
+    if (changes.explanation !== undefined) {
+        changes.explanation = explanations.normalizeExplanation(changes.explanation, merged, 'teacher');
+    }
+    const updated = questionBank.updateQuestion(existing, { ...changes, grade });
+
+    res.json({
+        success: true,
+        question: questionBank.toAdminQuestion(updated)
+    });
+});
+
+// Delete a question
+app.delete('/api/questions/:id', requireRole('teacher', 'admin'), (req, res) => {
+    if (!questionBank.deleteQuestion(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Question not found'
+        });
+    }
+
+    console.log(`🗑️ ${req.user.username} deleted question ${req.params.id}`);
+
+    res.json({ success: true });
+});
+
+// Approve a question, or flag it as wrong ("rejected") so students never see it
+app.post('/api/questions/:id/review', requireRole('teacher', 'admin'), (req, res) => {
+    const { status, note } = req.body;
+    const question = questionBank.getQuestion(req.params.id);
+
+    if (!question) {
+        return res.status(404).json({
+            success: false,
+            error: 'Question not found'
+        });
+    }
+
+    if (!questionBank.STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            error: `Status must be one of: ${questionBank.STATUSES.join(', ')}`
+        });
+    }
+
+    const reviewed = questionBank.reviewQuestion(question, status, req.user.id, note ? String(note) : null);
+
+    console.log(`🔎 ${req.user.username} marked question ${question.id} as ${status}`);
+
+    res.json({
+        success: true,
+        question: questionBank.toAdminQuestion(reviewed)
+    });
+});
+
+// ========== LIVE CLASSROOM ROUTES ==========
+
+// Teacher starts a classroom quiz: a fixed question list (picked ids, or drawn from the bank) behind a join code
+app.post('/api/live-sessions', requireRole('teacher', 'admin'), async (req, res) => {
+    const grade = parseInt(req.body.grade);
+    const subject = req.body.subject || 'all';
+    const num = Math.min(Math.max(parseInt(req.body.num) || 10, 1), 50);
+    const questionIds = req.body.questionIds;
+
+    const gradeError = validateGrade(grade);
+    if (gradeError) {
+        return res.status(400).json({
+            success: false,
+            error: gradeError
+        });
+    }
+
+    try {
+        let questions;
+        if (Array.isArray(questionIds) && questionIds.length > 0) {
+            questions = questionIds.map(id => questionBank.getQuestion(id));
+            if (questions.some(q => !q)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Some questions were not found in the question bank'
+                });
+            }
+        } else {
+            // Teachers usually want reviewed questions in front of the class
+            questions = await pickSharedQuestions(grade, subject, num, {
+                approvedOnly: req.body.approvedOnly !== false
+            });
+        }
+
+        if (questions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No questions available for this grade and subject'
+            });
+        }
+
+        const live = liveSessions.createLiveSession(req.user, {
+            title: typeof req.body.title === 'string' ? req.body.title.trim().slice(0, 100) : null,
+            grade: grade,
+            subject: subject,
+            questions: questions
+        });
+
+        console.log(`🎓 ${req.user.username} opened live session ${live.code} (${questions.length} questions)`);
+
+        res.status(201).json({
+            success: true,
+            session: liveSessions.toSummary(live),
+            questions: questions.map(questionBank.toAdminQuestion)
+        });
+    } catch (error) {
+        console.error('❌ Live session error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create live session'
+        });
+    }
+});
+
+// The teacher's own sessions, newest first (admins see everyone's)
+app.get('/api/live-sessions', requireRole('teacher', 'admin'), (req, res) => {
+    res.json({
+        success: true,
+        sessions: liveSessions.listForTeacher(req.user).map(liveSessions.toSummary)
+    });
+});
+
+// Dashboard: who answered what, per student and per question
+app.get('/api/live-sessions/:id', requireRole('teacher', 'admin'), (req, res) => {
+    const found = findManagedLiveSession(req);
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    res.json({
+        success: true,
+        session: liveSessions.toSummary(found.live),
+        results: liveSessions.getResults(found.live)
+    });
+});
+
+// Close the session: the code stops working, answers from games still running are ignored
+app.post('/api/live-sessions/:id/close', requireRole('teacher', 'admin'), (req, res) => {
+    const found = findManagedLiveSession(req);
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    liveSessions.close(found.live);
+    console.log(`🎓 ${req.user.username} closed live session ${found.live.code}`);
+
+    res.json({
+        success: true,
+        session: liveSessions.toSummary(found.live)
+    });
+});
+
+// Results table as CSV (one row per student, one column per question)
+app.get('/api/live-sessions/:id/export', requireRole('teacher', 'admin'), (req, res) => {
+    const found = findManagedLiveSession(req);
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    const filename = `flappy-brain-live-${found.live.code}.csv`;
+    res.set('Content-Type', questionFormats.FORMATS.csv.contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(questionFormats.toCSVTable(liveSessions.toResultRows(found.live)));
+});
+
+// Student joins with the code: gets the session's questions and a game session tied to it
+app.post('/api/live-sessions/join', optionalAuth, (req, res) => {
+    const { code, name, participantId } = req.body;
+    const live = liveSessions.findOpenByCode(code);
+
+    if (!live) {
+        return res.status(404).json({
+            success: false,
+            error: 'No open classroom session with this code'
+        });
+    }
+
+    if (!req.user && (typeof name !== 'string' || !name.trim())) {
+        return res.status(400).json({
+            success: false,
+            error: 'Please enter your name'
+        });
+    }
+
+    const questions = liveSessions.getQuestions(live);
+    if (questions.length === 0) {
+        return res.status(409).json({
+            success: false,
+            error: 'This session has no questions left'
+        });
+    }
+
+    const participant = liveSessions.join(live, { user: req.user || null, name, participantId });
+    const userId = req.user ? req.user.id : null;
+    questionBank.markServed(questions, userId);
+
+    const { session, token } = gameSessions.createSession({
+        userId: userId,
+        grade: live.grade,
+        subject: live.subject,
+        difficulty: req.body.difficulty,
+        gameSpeed: req.body.gameSpeed,
+        questionTimer: req.body.questionTimer === true,
+        questions: questions,
+        live: { sessionId: live.id, participantId: participant.id }
+    });
+
+    console.log(`🎓 ${participant.name} joined live session ${live.code}`);
+
+    res.json({
+        success: true,
+        session: liveSessions.toSummary(live),
+        participantId: participant.id,
+        gameToken: token,
+        seed: session.seed,
+        questions: questions.map(questionBank.toClientQuestion)
+    });
+});
+
+// ========== CLASS & HOMEWORK ROUTES ==========
+
+// Teacher creates a class for one grade; students join it with the class code
+app.post('/api/classes', requireRole('teacher', 'admin'), (req, res) => {
+    const grade = parseInt(req.body.grade);
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    const error = validateGrade(grade) || (name ? null : 'Please enter a class name');
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error
+        });
+    }
+
+    const cls = classes.createClass(req.user, { name, grade });
+    console.log(`🏫 ${req.user.username} created class ${cls.name} (${cls.code})`);
+
+    res.status(201).json({
+        success: true,
+        class: classes.toClassSummary(cls)
+    });
+});
+
+// The teacher's own classes, newest first (admins see everyone's)
+app.get('/api/classes', requireRole('teacher', 'admin'), (req, res) => {
+    res.json({
+        success: true,
+        classes: classes.listForTeacher(req.user).map(classes.toClassSummary)
+    });
+});
+
+// Roster and homework of a class, with how many students finished each assignment
+app.get('/api/classes/:id', requireRole('teacher', 'admin'), (req, res) => {
+    const found = findManagedClass(req);
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    const { cls } = found;
+    res.json({
+        success: true,
+        class: classes.toClassSummary(cls),
+        students: cls.students,
+        assignments: classes.listAssignments(cls.id).map(a => {
+            const { completed, started } = classes.getProgress(a, cls);
+            return { ...classes.toAssignmentSummary(a), completed, started };
+        })
+    });
+});
+
+// Delete a class with all its homework
+app.delete('/api/classes/:id', requireRole('teacher', 'admin'), (req, res) => {
+    const found = findManagedClass(req);
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    classes.deleteClass(found.cls);
+    console.log(`🗑️ ${req.user.username} deleted class ${found.cls.name} (${found.cls.code})`);
+
+    res.json({
+        success: true
+    });
+});
+
+// Take a student off the roster
+app.delete('/api/classes/:id/students/:userId', requireRole('teacher', 'admin'), (req, res) => {
+    const found = findManagedClass(req);
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    if (!classes.removeStudent(found.cls, req.params.userId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'This student is not in the class'
+        });
+    }
+
+    res.json({
+        success: true,
+        class: classes.toClassSummary(found.cls)
+    });
+});
+
+// Student joins a class with the code the teacher shared (needs an account, homework results are per student)
+app.post('/api/classes/join', requireAuth, (req, res) => {
+    const cls = classes.findByCode(req.body.code);
+    if (!cls) {
+        return res.status(404).json({
+            success: false,
+            error: 'No class with this code'
+        });
+    }
+
+    if (cls.teacherId === req.user.id) {
+        return res.status(400).json({
+            success: false,
+            error: 'You are the teacher of this class'
+        });
+    }
+
+    classes.join(cls, req.user);
+    console.log(`🏫 ${req.user.username} joined class ${cls.name} (${cls.code})`);
+
+    res.json({
+        success: true,
+        class: classes.toClassSummary(cls),
+        assignments: classes.pendingFor(req.user.id)
+    });
+});
+
+// Homework: a fixed question set (picked ids, or drawn from the bank for a subject or curriculum topic),
+// a due date and the percentage of correct answers that counts as done
+app.post('/api/classes/:id/assignments', requireRole('teacher', 'admin'), async (req, res) => {
+    const found = findManagedClass(req);
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    const { cls } = found;
+    const { questionIds, dueDate } = req.body;
+    const subject = req.body.subject || 'all';
+    const topic = req.body.topic || null;
+    const num = Math.min(Math.max(parseInt(req.body.num) || 10, 1), 50);
+    const minScore = req.body.minScore === undefined ? 50 : Number(req.body.minScore);
+
+    const error = validateDueDate(dueDate) ||
+        (Number.isInteger(minScore) && minScore >= 0 && minScore <= 100 ? null : 'Minimum score must be a whole percentage between 0 and 100') ||
+        validateTopic(cls.grade, subject, topic);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error
+        });
+    }
+
+    try {
+        let questions;
+        if (Array.isArray(questionIds) && questionIds.length > 0) {
+            questions = questionIds.map(id => questionBank.getQuestion(id));
+            if (questions.some(q => !q)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Some questions were not found in the question bank'
+                });
+            }
+        } else {
+            questions = await pickSharedQuestions(cls.grade, subject, num, {
+                approvedOnly: req.body.approvedOnly !== false,
+                topic: topic
+            });
+        }
+
+        if (questions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: topic ? 'No questions available for this topic' : 'No questions available for this grade and subject'
+            });
+        }
+
+        const assignment = classes.createAssignment(cls, req.user, {
+            title: typeof req.body.title === 'string' ? req.body.title.trim() : null,
+            subject: subject,
+            topic: topic,
+            questions: questions,
+            dueDate: dueDate,
+            minScore: minScore
+        });
+
+        console.log(`📝 ${req.user.username} assigned "${assignment.title}" to ${cls.name} (${questions.length} questions, due ${dueDate})`);
+
+        res.status(201).json({
+            success: true,
+            assignment: classes.toAssignmentSummary(assignment),
+            questions: questions.map(questionBank.toAdminQuestion)
+        });
+    } catch (error) {
+        console.error('❌ Assignment error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create assignment'
+        });
+    }
+});
+
+// The student's homework that isn't done yet, from every class they are in
+app.get('/api/assignments', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        assignments: classes.pendingFor(req.user.id)
+    });
+});
+
+// Completion and best score per student of the class
+app.get('/api/assignments/:id', requireRole('teacher', 'admin'), (req, res) => {
+    const found = findManagedAssignment(req);
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    res.json({
+        success: true,
+        class: classes.toClassSummary(found.cls),
+        assignment: classes.toAssignmentSummary(found.assignment),
+        progress: classes.getProgress(found.assignment, found.cls)
+    });
+});
+
+app.delete('/api/assignments/:id', requireRole('teacher', 'admin'), (req, res) => {
+    const found = findManagedAssignment(req);
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    classes.deleteAssignment(found.assignment);
+
+    res.json({
+        success: true
+    });
+});
+
+// Start a game with the assignment's questions; the result is recorded when the run is submitted
+// (POST /api/leaderboard/scores). Teachers of the class can play it too, to try it out
+app.post('/api/assignments/:id/start', requireAuth, (req, res) => {
+    const assignment = classes.getAssignment(req.params.id);
+    const cls = assignment ? classes.getClass(assignment.classId) : null;
+
+    if (!assignment || !cls) {
+        return res.status(404).json({
+            success: false,
+            error: 'Assignment not found'
+        });
+    }
 
-        // Create explanation prompt
-        const prompt = createExplanationPrompt(question, answer, userAnswer);
-        
-        // Call Groq API
-        const aiResponse = await callGroqAPI(prompt);
-        
-        // Parse response
-        const explanation = parseExplanation(aiResponse);
-        
-        console.log(`✅ Generated explanation`);
-        
-        res.json({
-            success: true,
-            explanation: explanation
+    if (!classes.isMember(cls, req.user.id) && !classes.canManage(req.user, cls)) {
+        return res.status(403).json({
+            success: false,
+            error: translateFor(req, 'assignmentNotForYou')
         });
+    }
 
-    } catch (error) {
-        console.error('❌ Explanation error:', error.message);
-        
-        res.status(500).json({
+    const questions = classes.getQuestions(assignment);
+    if (questions.length === 0) {
+        return res.status(409).json({
             success: false,
-            error: 'Failed to generate explanation',
-            message: error.message
+            error: 'This assignment has no questions left'
         });
     }
+
+    questionBank.markServed(questions, req.user.id);
+
+    const { session, token } = gameSessions.createSession({
+        userId: req.user.id,
+        grade: assignment.grade,
+        subject: assignment.subject,
+        difficulty: req.body.difficulty,
+        gameSpeed: req.body.gameSpeed,
+        questionTimer: req.body.questionTimer === true,
+        questions: questions,
+        mode: classes.ASSIGNMENT_MODE,
+        topic: assignment.topic,
+        assignment: assignment.id
+    });
+
+    console.log(`📝 ${req.user.username} started assignment "${assignment.title}"`);
+
+    res.json({
+        success: true,
+        assignment: classes.toStudentAssignment(assignment, cls, req.user.id),
+        gameMode: classes.ASSIGNMENT_MODE,
+        gameToken: token,
+        seed: session.seed,
+        questions: questions.map(questionBank.toClientQuestion)
+    });
 });
 
 // ========== HELPER FUNCTIONS ==========
 
-function createPrompt(grade, subject, num) {
+const LEVEL_DESCRIPTIONS = {
+    easy: 'easy (basic recall of definitions and facts)',
+    medium: 'medium (apply knowledge to standard exercises)',
+    hard: 'hard (multi-step reasoning, less common cases)'
+};
+
+function createPrompt(grade, subject, num, { level = 'medium', language = locales.DEFAULT_LANGUAGE, topic = null } = {}, { part = 1, parts = 1 } = {}) {
+    const trueFalse = locales.translate(language, 'trueFalseOptions');
+    const text = key => locales.translate(language, key);
+    const focus = curriculum.getNode(topic);
     let subjectText = '';
     
     if (subject === 'all') {
@@ -186,87 +2076,104 @@ function createPrompt(grade, subject, num) {
         subjectText = `${subjectMap[subject] || subject} subject`;
     }
 
-    return `You are a Vietnamese teacher. Create ${num} multiple choice questions for grade ${grade} in Vietnam, ${subjectText}.
+    return `${text('promptRole')} Create ${num} questions for grade ${grade} in Vietnam, ${subjectText}.
 
 IMPORTANT REQUIREMENTS:
 1. Return ONLY JSON, no other text
-2. JSON format:
+2. JSON format, one object per question, "type" tells which kind it is:
 {
   "questions": [
     {
+      "type": "choice",
       "subject": "Subject Name",
       "text": "Clear question text",
       "options": ["A. Option A", "B. Option B", "C. Option C", "D. Option D"],
       "answer": "A"
-    }
+    },
+    { "type": "true_false", "subject": "Subject Name", "text": "A statement to judge", "options": ["${trueFalse.join('", "')}"], "answer": "B" },
+    { "type": "multi_select", "subject": "Subject Name", "text": ${JSON.stringify(text('promptMultiSelectText'))}, "options": ["A. ...", "B. ...", "C. ...", "D. ..."], "answer": "AC" },
+    { "type": "numeric", "subject": "Subject Name", "text": "A calculation with one numeric result", "answer": 12.5, "tolerance": 0.1 },
+    { "type": "short_text", "subject": "Subject Name", "text": "A question answered by one word or name", "answer": ${JSON.stringify(text('promptShortTextAnswer'))}, "accepted": ${JSON.stringify(text('promptShortTextAccepted'))} },
+    { "type": "ordering", "subject": "Subject Name", "text": ${JSON.stringify(text('promptOrderingText'))}, "options": ["First item", "Second item", "Third item", "Fourth item"] }
   ]
 }
 
 RULES:
-- Questions must follow Vietnamese curriculum for grade ${grade}
-- Correct answers should be evenly distributed among A,B,C,D
-- Each question must have 4 options
-- Answer must be "A", "B", "C", or "D"
+- Questions must follow Vietnamese curriculum for grade ${grade}${focus ? `
+${topicRule(focus)}` : ''}
+- Write the questions, options and answers in ${locales.translate(language, 'languageName')}
+- Difficulty: ${LEVEL_DESCRIPTIONS[level] || LEVEL_DESCRIPTIONS.medium}${parts > 1 ? `
+- This is part ${part} of ${parts}: take topics from part ${part} of ${parts} of the school year so parts don't repeat each other` : ''}
+- About half of the questions are "choice"; mix in the other types where they fit the topic
+- "choice": 4 options, answer is "A", "B", "C" or "D"; correct answers evenly distributed among A,B,C,D
+- "true_false": exactly the options "${trueFalse[0]}" and "${trueFalse[1]}"
+- "multi_select": 4 options, answer lists every correct letter (at least one, not all); say in the text that several answers can be correct
+- "numeric": only for Mathematics, Physics and Chemistry; no options; answer is a number; tolerance is the accepted rounding error (0 for exact answers)
+- "short_text": no options; the answer is one short word, name or number; list other accepted spellings in "accepted"
+- "ordering": 3 to 6 items listed in the CORRECT order, no answer field (the game shuffles them)
 - Questions should be clear and unambiguous`;
 }
 
-function createExplanationPrompt(question, correctAnswer, userAnswer = null) {
-    const isCorrect = userAnswer === correctAnswer;
-    
-    return `You are a Vietnamese teacher. Please explain the following question and answer.
+// Prompt rule for a picked chapter/topic; questions about a whole chapter are tagged with the topic they cover
+function topicRule(node) {
+    if (node.topic) {
+        return `- Every question is about the topic "${node.topic.name}" of the chapter "${node.chapter.name}"`;
+    }
+    const topics = curriculum.getTopics(node.chapter.id).map(t => `"${t.id}" (${t.name})`).join(', ');
+    return `- Every question is about the chapter "${node.chapter.name}"; add a "topic" field with the id of the topic it covers: ${topics}`;
+}
+
+// Question, options and answer as the explanation and follow-up prompts show them
+function describeQuestion(question, correctAnswer) {
+    const options = questionTypes.hasOptions(questionTypes.getType(question)) && question.options.length > 0
+        ? `\nOPTIONS:\n${question.options.join('\n')}`
+        : '';
+    return `QUESTION: ${question.text}
+SUBJECT: ${question.subject}${options}
+CORRECT ANSWER: ${questionTypes.formatAnswer(question, correctAnswer)}`;
+}
+
+function createExplanationPrompt(question, correctAnswer, language = locales.DEFAULT_LANGUAGE) {
+    const wrong = explanations.wrongLetters({ ...question, answer: correctAnswer });
 
-QUESTION: ${question.text}
-SUBJECT: ${question.subject}
-CORRECT ANSWER: ${correctAnswer}
-${userAnswer ? `USER'S ANSWER: ${userAnswer} (${isCorrect ? 'CORRECT' : 'INCORRECT'})` : ''}
+    return `${locales.translate(language, 'promptRole')} Please explain the following question and answer.
 
-Please provide a clear, educational explanation in Vietnamese that:
-1. Explains why the correct answer is right
-2. Explains why other options are wrong (if applicable)
-3. Provides additional context or examples to help understand the concept
-4. Keep the explanation concise but informative (about 2-3 sentences)
+${describeQuestion(question, correctAnswer)}
 
-Return ONLY the explanation text, no additional formatting or JSON.`;
+Return ONLY a JSON object in this format:
+{
+  "correct": "Why the correct answer is right (2-3 sentences)",
+  "wrong": [
+    { "option": "${wrong[0] || 'B'}", "reason": "Why option ${wrong[0] || 'B'} is wrong (1 sentence)" }
+  ],
+  "example": "A short worked example or a similar case that shows the same idea"
 }
 
-async function callGroqAPI(prompt) {
-    console.log('🤖 Calling Groq API...');
-    
-    try {
-        const response = await axios.post(
-            'https://api.groq.com/openai/v1/chat/completions',
-            {
-                model: 'llama-3.3-70b-versatile',
-                messages: [{ 
-                    role: 'user', 
-                    content: prompt 
-                }],
-                temperature: 0.7,
-                max_tokens: 1024,
-                response_format: prompt.includes('JSON') ? { type: "json_object" } : undefined
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
-            }
-        );
-        
-        return response.data.choices[0].message.content.trim();
-    } catch (error) {
-        console.error('Groq API Error:', error.response?.data || error.message);
-        throw new Error(`Groq API failed: ${error.message}`);
-    }
+RULES:
+- Write everything in ${locales.translate(language, 'languageName')}, clearly enough for a student of this subject
+- ${wrong.length > 0 ? `"wrong" has one entry for each wrong option: ${wrong.join(', ')}` : '"wrong" is an empty list (this question has no wrong options to explain)'}
+- Write formulas in LaTeX between \\( and \\), e.g. \\(x^2 + 1\\) (escape the backslashes as JSON requires)`;
+}
+
+// System message of the follow-up chat: the question, its answer and the explanation the student has seen
+function createFollowUpPrompt(question, correctAnswer, explanation, language = locales.DEFAULT_LANGUAGE) {
+    return `${locales.translate(language, 'promptFriendlyRole')} A student just answered this question in a quiz game and read its explanation.
+
+${describeQuestion(question, correctAnswer)}${explanation ? `
+EXPLANATION: ${explanation.correct}${explanation.example ? `\nEXAMPLE: ${explanation.example}` : ''}` : ''}
+
+Answer the student's questions about this question and its topic:
+- In ${locales.translate(language, 'languageName')}, at most 5 sentences, at the level of the question
+- Write formulas in LaTeX between \\( and \\)
+- If the student asks about something unrelated, kindly bring them back to this question`;
 }
 
 function parseAIResponse(content, num) {
     console.log('📝 Parsing AI response...');
     
     let parsedData;
+    let jsonStr = content;
     try {
-        let jsonStr = content;
         // Remove markdown code blocks
         if (jsonStr.includes('```json')) {
             jsonStr = jsonStr.split('```json')[1] || jsonStr;
@@ -306,23 +2213,11 @@ function parseAIResponse(content, num) {
     const validQuestions = [];
     for (let q of questions) {
         if (!q || typeof q !== 'object') continue;
-        if (!q.subject || !q.text || !Array.isArray(q.options)) continue;
         
-        // Ensure 4 options
-        if (q.options.length !== 4) continue;
-        
-        // Validate answer
-        let answer = (q.answer || 'A').toString().toUpperCase().charAt(0);
-        if (!['A', 'B', 'C', 'D'].includes(answer)) {
-            answer = 'A';
-        }
+        const candidate = parseAIQuestion(q);
+        if (questionBank.validateQuestion(candidate)) continue;
         
-        validQuestions.push({
-            subject: q.subject,
-            text: q.text,
-            options: q.options,
-            answer: answer
-        });
+        validQuestions.push(candidate);
         
         if (validQuestions.length >= num) break;
     }
@@ -330,24 +2225,816 @@ function parseAIResponse(content, num) {
     return validQuestions.slice(0, num);
 }
 
+// One question of the AI answer in the bank's shape (validated by the caller)
+function parseAIQuestion(q) {
+    const type = questionTypes.TYPES.includes(q.type) ? q.type : 'choice';
+    const candidate = { type: type, subject: q.subject, text: q.text };
+    // Topic the model tagged a chapter question with (addQuestions keeps it only inside the requested chapter)
+    if (curriculum.getNode(q.topic)) candidate.topic = q.topic;
+
+    switch (type) {
+        case 'choice': {
+            // Validate answer
+            let answer = (q.answer || 'A').toString().toUpperCase().charAt(0);
+            if (!['A', 'B', 'C', 'D'].includes(answer)) {
+                answer = 'A';
+            }
+            return { ...candidate, options: q.options, answer: answer };
+        }
+        case 'ordering':
+            // Items come in the right order, the game shows them shuffled
+            return Array.isArray(q.options) ? { ...candidate, ...questionTypes.shuffleOrdering(q.options) } : candidate;
+        case 'numeric':
+            return {
+                ...candidate,
+                answer: questionTypes.normalizeAnswer(type, q.answer),
+                tolerance: q.tolerance === undefined ? 0 : Math.abs(Number(q.tolerance)) || 0
+            };
+        case 'short_text':
+            return {
+                ...candidate,
+                answer: questionTypes.normalizeAnswer(type, q.answer),
+                accepted: Array.isArray(q.accepted) ? q.accepted.filter(a => typeof a === 'string' && a.trim()) : []
+            };
+        default:
+            return {
+                ...candidate,
+                options: Array.isArray(q.options) ? questionTypes.withLetters(q.options) : q.options,
+                answer: questionTypes.normalizeAnswer(type, q.answer)
+            };
+    }
+}
+
+// Ask an LLM provider for more questions (at a level, in a language, about a curriculum chapter/topic) and store
+// the valid ones in the bank. Each batch is stored as soon as it arrives and passed to `onAdded` (used by the streaming route).
+async function topUpQuestionBank(grade, subject, num, { level = 'medium', language = locales.DEFAULT_LANGUAGE, topic = null } = {}, provider = llm, onAdded = null) {
+    if (!provider.isConfigured()) {
+        throw new Error(`LLM provider "${provider.name}" is not configured`);
+    }
+
+    let added = [];
+    // Failed batches are reported back instead of thrown, so the caller can tell how much is missing
+    const { batches, failedBatches } = await generateInBatches(provider, grade, subject, num, { level, language, topic }, questions => {
+        // addQuestions skips texts already in the bank, which also dedupes batches against each other
+        const batchAdded = questionBank.addQuestions(grade, subject, questions, provider.source, { level, language, topic });
+        added = added.concat(batchAdded);
+        if (onAdded && batchAdded.length > 0) onAdded(batchAdded);
+    });
+
+    console.log(`🏦 Question bank: +${added.length} from ${provider.name} (Grade ${grade}, ${subject}${topic ? ` ${topic}` : ''}, ${level}, ${language}, ${batches - failedBatches}/${batches} batches)`);
+    return { added, batches, failedBatches };
+}
+
+const LLM_CONCURRENCY = Math.max(1, envNumber('LLM_CONCURRENCY', 3));
+const LLM_BATCH_RETRIES = Math.max(0, envNumber('LLM_BATCH_RETRIES', 2));
+
+/**
+ * Long JSON answers get cut off at max_tokens, so large requests are split into batches of
+ * `provider.batchSize`, run LLM_CONCURRENCY at a time, and each batch is retried on failure.
+ * `onBatch(questions)` gets each batch as it completes; returns how many batches ran and failed for good.
+ */
+async function generateInBatches(provider, grade, subject, num, options, onBatch) {
+    const batchSize = provider.batchSize || num;
+    const sizes = [];
+    for (let left = num; left > 0; left -= batchSize) {
+        sizes.push(Math.min(batchSize, left));
+    }
+
+    const results = await mapWithConcurrency(sizes, LLM_CONCURRENCY, async (size, index) => {
+        const questions = await withRetries(
+            () => provider.generateQuestions(grade, subject, size, options, { part: index + 1, parts: sizes.length }),
+            LLM_BATCH_RETRIES,
+            `Batch ${index + 1}/${sizes.length}`
+        );
+        onBatch(questions);
+    });
+
+    return {
+        batches: sizes.length,
+        failedBatches: results.filter(r => !r.ok).length
+    };
+}
+
+// Run `task` over `items` with at most `limit` running at once; never rejects, results keep the input order
+async function mapWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { ok: true, value: await task(items[index], index) };
+            } catch (error) {
+                results[index] = { ok: false, error: error };
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Retry with a growing delay (0.5s, 1s, 2s...)
+async function withRetries(task, retries, label) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task();
+        } catch (error) {
+            if (attempt >= retries) {
+                console.error(`❌ ${label} failed after ${attempt + 1} attempts:`, error.message);
+                throw error;
+            }
+            console.error(`⚠️ ${label} failed (${error.message}), retrying...`);
+            await new Promise(resolve => setTimeout(resolve, 500 * Math.pow(2, attempt)));
+        }
+    }
+}
+
+// How many served questions came from AI, from teachers (written or imported) and from the built-in fallback set
+function countSources(questions) {
+    const sources = { ai: 0, teacher: 0, fallback: 0 };
+    for (const q of questions) {
+        if (q.source === 'ai') sources.ai++;
+        else if (q.source === 'default') sources.fallback++;
+        else sources.teacher++;
+    }
+    return sources;
+}
+
+const refillsInProgress = new Set();
+
+// Keep the bank ahead of demand without making the player wait
+function refillQuestionBankInBackground(grade, subject, num, { level = 'medium', language = locales.DEFAULT_LANGUAGE, topic = null } = {}) {
+    const key = `${grade}:${subject}:${level}:${language}:${topic}`;
+    if (refillsInProgress.has(key) || !llm.isConfigured()) return;
+
+    refillsInProgress.add(key);
+    topUpQuestionBank(grade, subject, num, { level, language, topic })
+        .catch(error => console.error('⚠️ Background refill failed:', error.message))
+        .finally(() => refillsInProgress.delete(key));
+}
+
+// Pick the editable question fields from a request body; the answer is put in the canonical form of
+// the question type (the body's type, or `currentType` when editing without changing the type)
+function normalizeQuestionInput(body, currentType = 'choice') {
+    const question = {};
+    const type = body.type !== undefined ? body.type : currentType;
+    if (body.subject !== undefined) question.subject = typeof body.subject === 'string' ? body.subject.trim() : body.subject;
+    if (body.text !== undefined) question.text = typeof body.text === 'string' ? body.text.trim() : body.text;
+    if (body.type !== undefined) question.type = body.type;
+    if (body.options !== undefined) question.options = Array.isArray(body.options) ? body.options.map(o => typeof o === 'string' ? o.trim() : o) : body.options;
+    if (body.answer !== undefined) question.answer = questionTypes.normalizeAnswer(type, body.answer);
+    if (body.tolerance !== undefined) question.tolerance = typeof body.tolerance === 'string' ? questionTypes.normalizeAnswer('numeric', body.tolerance) : body.tolerance;
+    if (body.accepted !== undefined) question.accepted = Array.isArray(body.accepted) ? body.accepted.map(a => typeof a === 'string' ? a.trim() : a) : body.accepted;
+    if (body.level !== undefined) question.level = body.level;
+    if (body.language !== undefined) question.language = body.language;
+    if (body.topic !== undefined) question.topic = body.topic;
+    // Normalized with explanations.normalizeExplanation once the question itself is valid
+    if (body.explanation !== undefined) question.explanation = body.explanation;
+    return question;
+}
+
+// Questions everyone in a group gets (multiplayer races, classroom sessions, homework):
+// bank first, topped up by the LLM provider, then the built-in set (which has no curriculum topics)
+async function pickSharedQuestions(grade, subject, num, { approvedOnly = process.env.APPROVED_QUESTIONS_ONLY === 'true', topic = null } = {}) {
+    const pick = () => questionBank.pickQuestions(grade, subject, num, null, { approvedOnly, topic });
+
+    let questions = pick();
+    if (questions.length < num && !approvedOnly) {
+        try {
+            await topUpQuestionBank(grade, subject, num - questions.length, { topic });
+        } catch (error) {
+            console.error('⚠️ Bank top-up failed:', error.message);
+        }
+        questions = pick();
+    }
+    if (questions.length < num && llm.name !== 'offline') {
+        await topUpQuestionBank(grade, subject, num - questions.length, {}, offlineProvider);
+        questions = pick();
+    }
+    return questions;
+}
+
+// Live session the teacher may manage: { live } or { error, status }
+function findManagedLiveSession(req) {
+    const live = liveSessions.getLiveSession(req.params.id);
+    if (!live) return { error: 'Live session not found', status: 404 };
+    if (!liveSessions.canManage(req.user, live)) return { error: translateFor(req, 'forbidden'), status: 403 };
+    return { live };
+}
+
+// Class the teacher may manage: { cls } or { error, status }
+function findManagedClass(req, id = req.params.id) {
+    const cls = classes.getClass(id);
+    if (!cls) return { error: 'Class not found', status: 404 };
+    if (!classes.canManage(req.user, cls)) return { error: translateFor(req, 'forbidden'), status: 403 };
+    return { cls };
+}
+
+// Assignment whose class the teacher may manage: { assignment, cls } or { error, status }
+function findManagedAssignment(req) {
+    const assignment = classes.getAssignment(req.params.id);
+    if (!assignment) return { error: 'Assignment not found', status: 404 };
+    const found = findManagedClass(req, assignment.classId);
+    return found.error ? found : { assignment, cls: found.cls };
+}
+
+// Due date of an assignment: a YYYY-MM-DD day that hasn't passed yet
+function validateDueDate(dueDate) {
+    if (!dailyChallenge.isDateKey(dueDate) || Number.isNaN(new Date(dueDate).getTime())) {
+        return 'Due date must be YYYY-MM-DD';
+    }
+    if (dueDate < dailyChallenge.dateKey()) {
+        return 'Due date is in the past';
+    }
+    return null;
+}
+
+// Most questions one generate request may ask for: every batch of a bank top-up is a paid LLM call
+const MAX_GENERATE_QUESTIONS = 50;
+
+// Shared by the regular and streaming generate routes: { error } or the normalized parameters
+function parseGenerationRequest(req) {
+    const { subject, num = 20, gameMode = gameModes.DEFAULT_MODE, language = locales.DEFAULT_LANGUAGE, topic = null } = req.body;
+
+    if (req.body.grade === undefined || req.body.grade === null || req.body.grade === '' || !subject) {
+        return { error: 'Missing grade or subject' };
+    }
+    // Questions are stored with this grade, so "10" must become 10 (the bank only matches numbers)
+    const grade = parseGrade(req.body.grade);
+    const gradeError = validateGrade(grade);
+    if (gradeError) {
+        return { error: gradeError };
+    }
+    if (!Number.isInteger(Number(num)) || num < 1 || num > MAX_GENERATE_QUESTIONS) {
+        return { error: `Number of questions must be between 1 and ${MAX_GENERATE_QUESTIONS}` };
+    }
+    if (!gameModes.isMode(gameMode)) {
+        return { error: `Game mode must be one of: ${gameModes.MODE_IDS.join(', ')}` };
+    }
+    const languageError = validateLanguage(language);
+    if (languageError) {
+        return { error: languageError };
+    }
+    const topicError = validateTopic(grade, subject, topic);
+    if (topicError) {
+        return { error: topicError };
+    }
+
+    const userId = req.user ? req.user.id : null;
+    return {
+        grade: grade,
+        subject: subject,
+        // Exams always have the same number of questions
+        num: gameModes.getMode(gameMode).questionCount || Number(num),
+        mode: gameMode,
+        language: language,
+        // Curriculum chapter or topic to drill (null = the whole subject)
+        topic: topic,
+        userId: userId,
+        // Only serve questions a teacher has approved (request flag or server-wide setting)
+        approvedOnly: req.body.approvedOnly !== undefined
+            ? req.body.approvedOnly === true
+            : process.env.APPROVED_QUESTIONS_ONLY === 'true',
+        // Explicit level, or adapt to the player's recent accuracy
+        level: questionBank.LEVELS.includes(req.body.level) ? req.body.level : adaptive.recommendLevel(userId)
+    };
+}
+
+// Whole numbers only: 10 and "10" are grade 10, "10.5" and "abc" are no grade (NaN)
+function parseGrade(value) {
+    return /^\d+$/.test(String(value).trim()) ? parseInt(value) : NaN;
+}
+
+function validateGrade(grade) {
+    if (!Number.isInteger(grade) || grade < 6 || grade > 12) {
+        return 'Grade must be between 6 and 12';
+    }
+    return null;
+}
+
+function validateLanguage(language) {
+    if (!locales.isLanguage(language)) {
+        return `Language must be one of: ${locales.LANGUAGES.join(', ')}`;
+    }
+    return null;
+}
+
+// A picked chapter/topic must belong to the grade and subject being played (null = no topic)
+function validateTopic(grade, subject, topic) {
+    if (topic === null) return null;
+    const node = curriculum.getNode(topic);
+    if (!node) {
+        return 'Unknown curriculum chapter or topic';
+    }
+    if (node.grade !== grade || questionBank.normalizeSubject(node.subject) !== questionBank.normalizeSubject(subject)) {
+        return 'This chapter or topic is not part of the chosen grade and subject';
+    }
+    return null;
+}
+
+// JSON explanation from the provider; plain text (models ignoring the format) becomes the "correct" part
 function parseExplanation(content) {
     console.log('📝 Parsing explanation...');
     
     // Remove markdown code blocks if present
-    let explanation = content;
-    if (explanation.includes('```')) {
-        explanation = explanation.replace(/```[\s\S]*?```/g, '');
+    let text = content.replace(/```(?:json)?/g, '').trim();
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+
+    if (start !== -1 && end > start) {
+        try {
+            return JSON.parse(text.slice(start, end + 1));
+        } catch (error) {
+            console.warn('⚠️ Explanation is not valid JSON, using it as text:', error.message);
+        }
     }
-    
-    // Trim and clean up
-    explanation = explanation.trim();
-    
-    // Ensure it's not empty
-    if (!explanation) {
-        explanation = "Xin lỗi, không thể tạo giải thích cho câu hỏi này. Vui lòng thử lại.";
+    return { correct: text };
+}
+
+// ========== LLM PROVIDERS ==========
+
+// Chat completion providers; LLM_BASE_URL / LLM_MODEL override the defaults
+const LLM_PROVIDER_DEFAULTS = {
+    groq: {
+        label: 'Groq',
+        baseUrl: 'https://api.groq.com/openai/v1',
+        model: 'llama-3.3-70b-versatile',
+        apiKeyEnv: ['GROQ_API_KEY', 'LLM_API_KEY'],
+        requiresKey: true
+    },
+    // Any OpenAI-compatible server, e.g. Ollama (default URL) or llama.cpp (http://localhost:8080/v1)
+    openai: {
+        label: 'OpenAI-compatible',
+        baseUrl: 'http://localhost:11434/v1',
+        model: 'llama3.1',
+        apiKeyEnv: ['LLM_API_KEY'],
+        requiresKey: false
     }
-    
-    return explanation;
+};
+
+const ANSWER_LETTERS = ['A', 'B', 'C', 'D'];
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Every provider has the same shape:
+ * { name, model, source, batchSize, isConfigured(), generateQuestions(grade, subject, num, options, batch),
+ *   explainAnswer(question, answer, language), answerFollowUp(question, answer, explanation, messages, language) }
+ * `source` is what generated questions are stored as in the bank, `batchSize` the most questions to ask for at once,
+ * `options` ({ level, language, topic }) what to generate and `batch` ({ part, parts }) which part of a split request it is.
+ * `language` (locales.js) is the language to write questions, explanations and replies in; `topic` a curriculum.js id.
+ * explainAnswer returns an explanation object for explanations.normalizeExplanation, answerFollowUp the reply text.
+ */
+function createChatProvider(name) {
+    const defaults = LLM_PROVIDER_DEFAULTS[name];
+    const config = {
+        baseUrl: (process.env.LLM_BASE_URL || defaults.baseUrl).replace(/\/+$/, ''),
+        model: process.env.LLM_MODEL || defaults.model,
+        apiKey: defaults.apiKeyEnv.map(key => process.env[key]).find(Boolean) || null,
+        temperature: envNumber('LLM_TEMPERATURE', 0.7),
+        maxTokens: envNumber('LLM_MAX_TOKENS', 1024),
+        timeout: envNumber('LLM_TIMEOUT_MS', 30000)
+    };
+
+    // `prompt` is a single user message or a whole conversation ([{ role, content }])
+    async function complete(prompt, { json = false } = {}) {
+        console.log(`🤖 Calling ${defaults.label} API (${config.model})...`);
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) {
+            headers['Authorization'] = `Bearer ${config.apiKey}`;
+        }
+
+        try {
+            const response = await axios.post(
+                `${config.baseUrl}/chat/completions`,
+                {
+                    model: config.model,
+                    messages: Array.isArray(prompt) ? prompt : [{
+                        role: 'user',
+                        content: prompt
+                    }],
+                    temperature: config.temperature,
+                    max_tokens: config.maxTokens,
+                    response_format: json ? { type: "json_object" } : undefined
+                },
+                {
+                    headers: headers,
+                    timeout: config.timeout
+                }
+            );
+
+            return response.data.choices[0].message.content.trim();
+        } catch (error) {
+            console.error(`${defaults.label} API Error:`, error.response?.data || error.message);
+            throw new Error(`${defaults.label} API failed: ${error.message}`);
+        }
+    }
+
+    return {
+        name: name,
+        model: config.model,
+        source: 'ai',
+        // Questions per request; 5 questions fit comfortably in the default 1024 tokens
+        batchSize: Math.max(1, envNumber('LLM_BATCH_SIZE', 5)),
+        isConfigured: () => !defaults.requiresKey || Boolean(config.apiKey),
+        async generateQuestions(grade, subject, num, options, batch) {
+            const content = await complete(createPrompt(grade, subject, num, options, batch), { json: true });
+            return parseAIResponse(content, num);
+        },
+        async explainAnswer(question, answer, language) {
+            const content = await complete(createExplanationPrompt(question, answer, language), { json: true });
+            return parseExplanation(content);
+        },
+        async answerFollowUp(question, answer, explanation, messages, language) {
+            return complete([
+                { role: 'system', content: createFollowUpPrompt(question, answer, explanation, language) },
+                ...messages
+            ]);
+        }
+    };
+}
+
+// Stable number for a string, so the offline provider gives the same output for the same input
+function stableHash(text) {
+    return crypto.createHash('sha1').update(String(text)).digest().readUInt32BE(0);
+}
+
+// The default sets always use A as the answer; rotate the options so answers are spread over A-D
+function rotateOptions(q) {
+    const shift = stableHash(q.text) % ANSWER_LETTERS.length;
+    const bodies = q.options.map(o => o.replace(/^[A-D]\.\s*/, ''));
+    const correct = bodies[ANSWER_LETTERS.indexOf(q.answer)];
+    const rotated = bodies.map((_, i) => bodies[(i + shift) % bodies.length]);
+
+    return {
+        ...q,
+        options: rotated.map((body, i) => `${ANSWER_LETTERS[i]}. ${body}`),
+        answer: ANSWER_LETTERS[rotated.indexOf(correct)]
+    };
+}
+
+// No network needed: questions come from the built-in default set, explanations from a template
+function createOfflineProvider() {
+    return {
+        name: 'offline',
+        model: null,
+        source: 'default',
+        // Nothing to truncate: the whole request is one batch
+        batchSize: null,
+        isConfigured: () => true,
+        async generateQuestions(grade, subject, num, { language = locales.DEFAULT_LANGUAGE, topic = null } = {}) {
+            // The built-in sets are only written in Vietnamese and aren't tagged with curriculum topics
+            if (language !== locales.DEFAULT_LANGUAGE || topic) return [];
+            const subjectKey = questionBank.normalizeSubject(subject);
+
+            return getDefaultQuestions(grade)
+                .filter(q => subjectKey === 'all' || questionBank.normalizeSubject(q.subject) === subjectKey)
+                .sort((a, b) => stableHash(a.text) - stableHash(b.text))
+                .slice(0, num)
+                // Default questions are basic recall questions
+                .map(q => ({ ...rotateOptions(q), level: 'easy' }));
+        },
+        async explainAnswer(question, answer, language) {
+            const params = { answer: questionTypes.formatAnswer(question, answer), subject: question.subject };
+            return {
+                correct: locales.translate(language, question.subject ? 'offlineExplanation' : 'offlineExplanationGeneric', params),
+                wrong: [],
+                example: ''
+            };
+        },
+        async answerFollowUp(question, answer, explanation, messages, language) {
+            return locales.translate(language, 'offlineFollowUp') + (explanation
+                ? explanation.correct
+                : locales.translate(language, 'offlineCorrectAnswer', { answer: questionTypes.formatAnswer(question, answer) }));
+        }
+    };
+}
+
+// LLM_PROVIDER=groq|openai|offline; without it, Groq when a key is set, otherwise offline
+function createLLMProvider() {
+    const name = String(process.env.LLM_PROVIDER || (process.env.GROQ_API_KEY ? 'groq' : 'offline')).trim().toLowerCase();
+
+    if (name === 'offline') return createOfflineProvider();
+    if (LLM_PROVIDER_DEFAULTS[name]) return createChatProvider(name);
+
+    console.error(`⚠️ Unknown LLM_PROVIDER "${name}", using the offline provider`);
+    return createOfflineProvider();
+}
+
+const llm = createLLMProvider();
+
+// Built-in questions used when the configured provider can't fill a game
+const offlineProvider = llm.name === 'offline' ? llm : createOfflineProvider();
+
+// ========== AUTH HELPERS ==========
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+    volume: 0.8,
+    soundEnabled: true,
+    gameSpeed: 1.0,
+    difficulty: 'easy',
+    language: 'vi',
+    birdColor: 0,
+    bgColor: 0,
+    showExplanations: true,
+    autoContinue: false,
+    questionTimer: false
+};
+
+function createDefaultStats() {
+    return {
+        gamesPlayed: 0,
+        bestScore: 0,
+        totalScore: 0,
+        questionsAnswered: 0,
+        correctAnswers: 0,
+        subjectStats: {},
+        // Per game mode: gamesPlayed, bestScore, totalScore, questionsAnswered, correctAnswers (gameModes.createModeStats)
+        modeStats: {},
+        achievements: [],
+        skillAssessment: {
+            overall: 0,
+            subjects: {},
+            lastUpdated: null
+        }
+    };
+}
+
+// Same rules as AuthSystem.updateSkillAssessment on the client
+function computeSkillAssessment(stats) {
+    let overallScore = 0;
+    const subjectScores = {};
+
+    if (stats.questionsAnswered > 0) {
+        overallScore = (stats.correctAnswers / stats.questionsAnswered) * 100;
+    }
+
+    for (const [subject, data] of Object.entries(stats.subjectStats)) {
+        if (data.total > 0) {
+            const subjectAccuracy = (data.correct / data.total) * 100;
+            subjectScores[subject] = Math.round(subjectAccuracy);
+
+            const weight = Math.min(data.total / 10, 1);
+            overallScore = overallScore * 0.7 + subjectAccuracy * 0.3 * weight;
+        }
+    }
+    overallScore = Math.min(overallScore, 100);
+
+    let assessment = '';
+    if (overallScore >= 90) assessment = 'Xuất sắc';
+    else if (overallScore >= 80) assessment = 'Giỏi';
+    else if (overallScore >= 70) assessment = 'Khá';
+    else if (overallScore >= 50) assessment = 'Trung bình';
+    else assessment = 'Cần cố gắng';
+
+    return {
+        overall: Math.round(overallScore),
+        subjects: subjectScores,
+        assessment: assessment,
+        lastUpdated: new Date().toISOString()
+    };
+}
+
+// Count one answered question in the user's stats and progress history (caller saves).
+// `verified` = checked against the answer key of a game session, only those count towards badges
+function recordQuestionStats(user, { subject, correct, questionId = null, grade = null, timeMs = null, hintUsed = false, timedOut = false, playedAt = null, verified = false }) {
+    const stats = user.stats;
+    if (!stats.subjectStats[subject]) {
+        stats.subjectStats[subject] = {
+            total: 0,
+            correct: 0,
+            lastUpdated: null
+        };
+    }
+
+    // Per curriculum chapter/topic too, for bank questions tagged with one
+    const stored = typeof questionId === 'string' ? questionBank.getQuestion(questionId) : null;
+    if (stored && stored.topic) {
+        const subjectStat = stats.subjectStats[subject];
+        if (!subjectStat.topics) subjectStat.topics = {};
+        const topicStat = subjectStat.topics[stored.topic] || { total: 0, correct: 0, lastUpdated: null };
+        topicStat.total++;
+        if (correct) topicStat.correct++;
+        topicStat.lastUpdated = new Date().toISOString();
+        subjectStat.topics[stored.topic] = topicStat;
+    }
+
+    stats.subjectStats[subject].total++;
+    stats.questionsAnswered++;
+    if (correct) {
+        stats.subjectStats[subject].correct++;
+        stats.correctAnswers++;
+    }
+    stats.subjectStats[subject].lastUpdated = new Date().toISOString();
+    stats.skillAssessment = computeSkillAssessment(stats);
+    analytics.recordAnswer(user.id, { questionId, subject, grade, correct, timeMs, hintUsed, timedOut, playedAt, verified });
+}
+
+// Count a finished game in the user's stats and game history (caller saves).
+// Returns the game event; badges are evaluated by the caller, only for runs the server verified
+function recordGameStats(user, score, details = {}) {
+    const stats = user.stats;
+    stats.gamesPlayed++;
+    stats.totalScore += score;
+    stats.bestScore = Math.max(stats.bestScore, score);
+    const game = analytics.recordGame(user.id, { score, ...details });
+
+    // Modes score differently, so each one also has its own bucket
+    if (!stats.modeStats) stats.modeStats = {};
+    const modeStats = stats.modeStats[game.gameMode] || gameModes.createModeStats();
+    modeStats.gamesPlayed++;
+    modeStats.totalScore += score;
+    modeStats.bestScore = Math.max(modeStats.bestScore, score);
+    modeStats.questionsAnswered += game.questionsAnswered;
+    modeStats.correctAnswers += game.correctAnswers;
+    stats.modeStats[game.gameMode] = modeStats;
+
+    return game;
+}
+
+// Copy only the fields that exist in `defaults` and have the same type
+function mergeKnownFields(defaults, input) {
+    const result = { ...defaults };
+    if (!input || typeof input !== 'object') return result;
+
+    for (const key of Object.keys(defaults)) {
+        const value = input[key];
+        if (value === undefined || value === null) continue;
+        if (Array.isArray(defaults[key]) ? Array.isArray(value) : typeof value === typeof defaults[key]) {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+// Returns the locales.js key of the error (translated by the route), or null
+function validateRegistration(username, password, birthDate, gender) {
+    if (!username || !password || !birthDate || !gender) {
+        return 'missingFields';
+    }
+
+    const name = String(username).trim();
+    if (name.length < 3 || name.length > 20) {
+        return 'usernameLength';
+    }
+
+    if (String(password).length < 6) {
+        return 'passwordTooShort';
+    }
+
+    const birthDateObj = new Date(birthDate);
+    if (isNaN(birthDateObj.getTime())) {
+        return 'invalidBirthDate';
+    }
+
+    const age = new Date().getFullYear() - birthDateObj.getFullYear();
+    if (age < 6) {
+        return 'tooYoung';
+    }
+    if (age > 100) {
+        return 'invalidBirthDate';
+    }
+
+    return null;
+}
+
+function findUserByUsername(username) {
+    const name = String(username || '').trim().toLowerCase();
+    return db.collection('users').find(u => u.username.toLowerCase() === name);
+}
+
+async function createUser({ username, password, birthDate, gender, createdAt, stats, settings, role = 'student' }) {
+    const user = {
+        id: crypto.randomUUID(),
+        username: String(username).trim(),
+        passwordHash: await hashPassword(String(password)),
+        role: role,
+        birthDate: birthDate,
+        gender: gender,
+        createdAt: createdAt && !isNaN(new Date(createdAt).getTime()) ? createdAt : new Date().toISOString(),
+        stats: mergeKnownFields(createDefaultStats(), stats),
+        settings: mergeKnownFields(DEFAULT_SETTINGS, settings)
+    };
+
+    db.collection('users').push(user);
+    db.save();
+    return user;
+}
+
+// Never send the password hash to the client
+function publicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+// Salted scrypt hash, stored as "salt:hash"
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [salt, hashHex] = String(stored || '').split(':');
+    if (!salt || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Only a hash of the token is stored, the raw token lives in the browser
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createSession(userId) {
+    const now = Date.now();
+    const token = crypto.randomBytes(32).toString('hex');
+
+    db.remove('sessions', s => new Date(s.expiresAt).getTime() < now);
+    db.collection('sessions').push({
+        tokenHash: hashToken(token),
+        userId: userId,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+    });
+    db.save();
+
+    return token;
+}
+
+// Server text in the game's language setting, which the client sends as Accept-Language
+function translateFor(req, key, params) {
+    return locales.translate(locales.fromAcceptLanguage(req.get('Accept-Language')), key, params);
+}
+
+// Resolve "Authorization: Bearer <token>" to { session, user } (or null)
+function findSessionUser(req) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    return token ? findSessionByToken(token) : null;
+}
+
+// Session and user for a raw token (also used by the race WebSocket, which has no headers)
+function findSessionByToken(token) {
+    const tokenHash = hashToken(token);
+    const session = db.collection('sessions').find(s => s.tokenHash === tokenHash);
+    const user = session && db.collection('users').find(u => u.id === session.userId);
+
+    if (!session || !user || new Date(session.expiresAt).getTime() < Date.now()) {
+        return null;
+    }
+    return { session, user };
+}
+
+// Express middleware: only logged-in users may continue
+function requireAuth(req, res, next) {
+    const found = findSessionUser(req);
+
+    if (!found) {
+        return res.status(401).json({
+            success: false,
+            error: translateFor(req, req.headers.authorization ? 'sessionExpired' : 'notLoggedIn')
+        });
+    }
+
+    req.session = found.session;
+    req.user = found.user;
+    next();
+}
+
+// Express middleware: attach the user when logged in, anonymous requests pass through
+function optionalAuth(req, res, next) {
+    const found = findSessionUser(req);
+    if (found) {
+        req.session = found.session;
+        req.user = found.user;
+    }
+    next();
+}
+
+// Express middleware factory: logged-in users with one of the given roles
+function requireRole(...roles) {
+    return (req, res, next) => {
+        requireAuth(req, res, () => {
+            if (!roles.includes(req.user.role || 'student')) {
+                return res.status(403).json({
+                    success: false,
+                    error: translateFor(req, 'forbidden')
+                });
+            }
+            next();
+        });
+    };
 }
 
 // ========== ERROR HANDLING ==========
@@ -358,11 +3045,7 @@ app.use((req, res) => {
         error: 'Route not found',
         path: req.path,
         method: req.method,
-        available: [
-            'GET /api/health',
-            'POST /api/generate-questions',
-            'POST /api/explain-answer'
-        ],
+        available: API_ENDPOINTS,
         timestamp: new Date().toISOString()
     });
 });
@@ -378,10 +3061,21 @@ app.use((err, req, res, next) => {
 });
 
 // ========== START SERVER ==========
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`🚀 Backend server running at: http://localhost:${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-    console.log(`🔐 API Key status: ${process.env.GROQ_API_KEY ? '✅ Loaded' : '❌ Missing'}`);
+    console.log(`🤖 LLM provider: ${llm.name}${llm.model ? ` (${llm.model})` : ''} ${llm.isConfigured() ? '✅ Ready' : '❌ Missing API key'}`);
     console.log(`🌐 CORS enabled for: localhost:5500, localhost:8080`);
-    console.log(`✨ New feature: AI Explanation endpoint available at /api/explain-answer`);
+    console.log(`✨ New feature: AI Explanation endpoint available at /api/explain-answer (+ /chat for follow-up questions)`);
+    console.log(`🏁 Multiplayer races: ws://localhost:${PORT}/ws/race`);
+});
+
+// Multiplayer races share the HTTP server
+multiplayer.attach(server, {
+    path: '/ws/race',
+    authenticate: token => {
+        const found = findSessionByToken(token);
+        return found ? found.user : null;
+    },
+    getQuestions: (grade, subject, num) => pickSharedQuestions(grade, subject, num)
 });
\ No newline at end of file
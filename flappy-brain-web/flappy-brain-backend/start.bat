@@ -93,7 +93,31 @@ echo 📝 Creating .env file...
     echo # Groq API Key - Get from: https://console.groq.com/keys
     echo GROQ_API_KEY=your_key_here
     echo.
+    echo # LLM provider: groq, openai = any OpenAI-compatible server such as Ollama, or offline = built-in questions
+    echo # Leave empty to use groq when GROQ_API_KEY is set, offline otherwise
+    echo LLM_PROVIDER=
+    echo # Optional overrides: endpoint, model, key for openai servers, sampling and timeout
+    echo LLM_BASE_URL=
+    echo LLM_MODEL=
+    echo LLM_API_KEY=
+    echo LLM_TEMPERATURE=0.7
+    echo LLM_MAX_TOKENS=1024
+    echo LLM_TIMEOUT_MS=30000
+    echo # Large question requests are split into batches, run a few at a time and retried
+    echo LLM_BATCH_SIZE=5
+    echo LLM_CONCURRENCY=3
+    echo LLM_BATCH_RETRIES=2
+    echo.
     echo NODE_ENV=development
+    echo.
+    echo # Teacher invite code - required to register teacher accounts
+    echo TEACHER_CODE=
+    echo.
+    echo # Only serve teacher-approved questions (true/false)
+    echo APPROVED_QUESTIONS_ONLY=false
+    echo.
+    echo # Secret for signing game sessions (any long random string)
+    echo GAME_SESSION_SECRET=
 ) > .env
 echo ✅ .env file created. Please edit it with your API key.
 timeout /t 3
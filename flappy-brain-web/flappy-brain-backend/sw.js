@@ -0,0 +1,108 @@
+// sw.js - Service worker: lưu trang, hình/âm thanh và thư viện (vendor/) để vẫn chơi được khi mạng chập chờn
+// Tăng CACHE_VERSION khi thêm/bớt tệp trong danh sách để trình duyệt tải lại bộ nhớ đệm
+const CACHE_VERSION = 'flappy-brain-v3';
+
+// Giữ đồng bộ với ASSET_PATHS trong index.html
+const APP_FILES = [
+    '/',
+    '/index.html',
+    '/manifest.webmanifest',
+    '/icon.svg',
+    '/locales/vi.json',
+    '/locales/en.json',
+    '/bg.png',
+    '/base.png',
+    '/pipe-green.png',
+    '/bluebird-downflap.png',
+    '/bluebird-midflap.png',
+    '/bluebird-upflap.png',
+    '/sfx_wing.wav',
+    '/sfx_point.wav',
+    '/sfx_hit.wav',
+    '/sfx_die.wav',
+    '/sfx_swooshing.wav'
+];
+
+// Tailwind và MathJax nằm trong vendor/ (npm run build:vendor) nên được lưu cùng trang, kể cả phông chữ
+// và các phần mở rộng TeX mà MathJax chỉ tải khi câu hỏi cần (mhchem, cancel, color...)
+const MATHJAX_DIR = '/vendor/mathjax';
+const MATHJAX_EXTENSIONS = [
+    'action', 'ams', 'amscd', 'autoload', 'bbox', 'boldsymbol', 'braket', 'bussproofs', 'cancel', 'cases',
+    'centernot', 'color', 'colortbl', 'colorv2', 'configmacros', 'empheq', 'enclose', 'extpfeil', 'gensymb',
+    'html', 'mathtools', 'mhchem', 'newcommand', 'noerrors', 'noundefined', 'physics', 'require',
+    'setoptions', 'tagformat', 'textcomp', 'textmacros', 'unicode', 'upgreek', 'verb'
+];
+const MATHJAX_FONTS = [
+    'AMS-Regular', 'Calligraphic-Bold', 'Calligraphic-Regular', 'Fraktur-Bold', 'Fraktur-Regular',
+    'Main-Bold', 'Main-Italic', 'Main-Regular', 'Math-BoldItalic', 'Math-Italic', 'Math-Regular',
+    'SansSerif-Bold', 'SansSerif-Italic', 'SansSerif-Regular', 'Script-Regular', 'Size1-Regular',
+    'Size2-Regular', 'Size3-Regular', 'Size4-Regular', 'Typewriter-Regular', 'Vector-Bold', 'Vector-Regular',
+    'Zero'
+];
+const VENDOR_FILES = [
+    '/vendor/tailwind.css',
+    `${MATHJAX_DIR}/tex-mml-chtml.js`,
+    ...MATHJAX_EXTENSIONS.map(name => `${MATHJAX_DIR}/input/tex/extensions/${name}.js`),
+    ...MATHJAX_FONTS.map(name => `${MATHJAX_DIR}/output/chtml/fonts/woff-v2/MathJax_${name}.woff`)
+];
+
+// Phông Inter vẫn lấy từ Google Fonts; được lưu lần đầu dùng, khi mất mạng trang dùng phông dự phòng
+const CDN_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_VERSION);
+        await cache.addAll([...APP_FILES, ...VENDOR_FILES]);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_VERSION).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Trả bản đã lưu ngay (nếu có) và cập nhật bộ nhớ đệm ở nền; bản mới được dùng ở lần tải sau
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CACHE_VERSION);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+
+    const update = fetch(event.request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(event.request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    try {
+        return await update;
+    } catch (error) {
+        // Mở trang khi mất mạng ở một đường dẫn chưa lưu: dùng trang chính
+        if (event.request.mode === 'navigate') {
+            const page = await cache.match('/index.html');
+            if (page) return page;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    if (event.request.method !== 'GET') return;
+
+    const url = new URL(event.request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    // API luôn gọi thẳng server; câu hỏi và thống kê offline do trang tự lưu (localStorage)
+    if (sameOrigin && (url.pathname.startsWith('/api/') || url.pathname.startsWith('/ws/'))) return;
+    if (!sameOrigin && !CDN_HOSTS.includes(url.hostname)) return;
+
+    event.respondWith(staleWhileRevalidate(event));
+});
@@ -0,0 +1,8 @@
+// tailwind.config.js - Tạo vendor/tailwind.css từ các lớp Tailwind dùng trong index.html (npm run build:vendor)
+module.exports = {
+    content: ['./index.html'],
+    theme: {
+        extend: {}
+    },
+    plugins: []
+};
@@ -0,0 +1,170 @@
+// classes.test.js - Kiểm tra các route lớp học và bài tập về nhà: tạo lớp, vào lớp bằng mã, giao và làm bài
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = 41000 + Math.floor(Math.random() * 1000);
+const BASE = `http://localhost:${PORT}`;
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-brain-classes-'));
+const TEACHER_CODE = 'test-teacher-code';
+
+// A week from now, far enough that time zones don't matter
+const DUE_DATE = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+let server;
+let teacher;
+let otherTeacher;
+let student;
+let outsider;
+
+async function waitForServer() {
+    for (let i = 0; i < 50; i++) {
+        try {
+            const res = await fetch(`${BASE}/api/health`);
+            if (res.ok) return;
+        } catch (error) {
+            // not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Server did not start');
+}
+
+async function api(method, url, { token, body } = {}) {
+    const res = await fetch(`${BASE}${url}`, {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+async function register(username, extra = {}) {
+    const res = await api('POST', '/api/auth/register', {
+        body: { username, password: 'secret123', birthDate: '2010-01-01', gender: 'male', ...extra }
+    });
+    assert.strictEqual(res.status, 201);
+    return res.body.token;
+}
+
+test.before(async () => {
+    server = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: { ...process.env, PORT: String(PORT), DATA_DIR: DATA_DIR, TEACHER_CODE: TEACHER_CODE, LLM_PROVIDER: 'offline' },
+        stdio: 'ignore'
+    });
+    await waitForServer();
+
+    teacher = await register('classteacher', { teacherCode: TEACHER_CODE });
+    otherTeacher = await register('otherteacher', { teacherCode: TEACHER_CODE });
+    student = await register('classstudent');
+    outsider = await register('outsider');
+
+    // Homework is drawn from the bank: 12 grade 6 maths questions
+    const rows = Array.from({ length: 12 }, (_, i) => `6,Toán,Bài tập ${i + 1},1,2,3,4,A`);
+    const content = ['grade,subject,text,optionA,optionB,optionC,optionD,answer', ...rows].join('\n');
+    const imported = await api('POST', '/api/questions/import', { token: teacher, body: { format: 'csv', content } });
+    assert.strictEqual(imported.body.imported, 12);
+});
+
+test.after(() => {
+    if (server) server.kill();
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+test('only teachers create classes, with a name and a valid grade', async () => {
+    assert.strictEqual((await api('POST', '/api/classes', { token: student, body: { name: '6A', grade: 6 } })).status, 403);
+    assert.strictEqual((await api('POST', '/api/classes', { token: teacher, body: { name: ' ', grade: 6 } })).status, 400);
+    assert.strictEqual((await api('POST', '/api/classes', { token: teacher, body: { name: '6A', grade: 13 } })).status, 400);
+});
+
+test('a class goes from creation to homework in progress', async () => {
+    const created = await api('POST', '/api/classes', { token: teacher, body: { name: ' 6A ', grade: '6' } });
+    assert.strictEqual(created.status, 201);
+    const cls = created.body.class;
+    assert.strictEqual(cls.name, '6A');
+    assert.strictEqual(cls.grade, 6);
+    assert.match(cls.code, /^[A-Z2-9]{6}$/);
+
+    // Listed for its teacher only
+    assert.deepStrictEqual((await api('GET', '/api/classes', { token: teacher })).body.classes.map(c => c.id), [cls.id]);
+    assert.deepStrictEqual((await api('GET', '/api/classes', { token: otherTeacher })).body.classes, []);
+    assert.strictEqual((await api('GET', `/api/classes/${cls.id}`, { token: otherTeacher })).status, 403);
+
+    // Students join with the code, in any case; the teacher can't join their own class
+    assert.strictEqual((await api('POST', '/api/classes/join', { token: student, body: { code: 'NOPE00' } })).status, 404);
+    assert.strictEqual((await api('POST', '/api/classes/join', { token: teacher, body: { code: cls.code } })).status, 400);
+    const joined = await api('POST', '/api/classes/join', { token: student, body: { code: cls.code.toLowerCase() } });
+    assert.strictEqual(joined.status, 200);
+    assert.strictEqual(joined.body.class.studentCount, 1);
+    // Joining again keeps one place in the roster
+    await api('POST', '/api/classes/join', { token: student, body: { code: cls.code } });
+
+    // Homework: bad due dates and scores are refused
+    const assign = body => api('POST', `/api/classes/${cls.id}/assignments`, { token: teacher, body });
+    assert.strictEqual((await assign({ subject: 'Toán', num: 5, dueDate: '2000-01-01' })).status, 400);
+    assert.strictEqual((await assign({ subject: 'Toán', num: 5, dueDate: '1/1/2099' })).status, 400);
+    assert.strictEqual((await assign({ subject: 'Toán', num: 5, dueDate: DUE_DATE, minScore: 150 })).status, 400);
+    assert.strictEqual((await api('POST', `/api/classes/${cls.id}/assignments`, {
+        token: student, body: { subject: 'Toán', dueDate: DUE_DATE }
+    })).status, 403);
+
+    const homework = await assign({ title: 'Ôn tập', subject: 'Toán', num: 5, dueDate: DUE_DATE, minScore: 60 });
+    assert.strictEqual(homework.status, 201);
+    const assignment = homework.body.assignment;
+    assert.strictEqual(assignment.questionCount, 5);
+    assert.strictEqual(assignment.dueDate, DUE_DATE);
+    assert.strictEqual(homework.body.questions.length, 5);
+
+    // The student sees it as pending work, outsiders don't
+    const pending = await api('GET', '/api/assignments', { token: student });
+    assert.deepStrictEqual(pending.body.assignments.map(a => a.id), [assignment.id]);
+    assert.deepStrictEqual((await api('GET', '/api/assignments', { token: outsider })).body.assignments, []);
+
+    // Starting hands out the questions without their answers, in exam mode
+    assert.strictEqual((await api('POST', `/api/assignments/${assignment.id}/start`, { token: outsider, body: {} })).status, 403);
+    assert.strictEqual((await api('POST', '/api/assignments/nope/start', { token: student, body: {} })).status, 404);
+    const started = await api('POST', `/api/assignments/${assignment.id}/start`, { token: student, body: {} });
+    assert.strictEqual(started.status, 200);
+    assert.strictEqual(started.body.gameMode, 'exam');
+    assert.ok(started.body.gameToken);
+    assert.deepStrictEqual(started.body.questions.map(q => q.id), homework.body.questions.map(q => q.id));
+    assert.ok(started.body.questions.every(q => q.answer === undefined));
+
+    // The teacher follows progress per student; nobody has finished yet
+    const progress = await api('GET', `/api/assignments/${assignment.id}`, { token: teacher });
+    assert.strictEqual(progress.status, 200);
+    assert.strictEqual(progress.body.progress.completed, 0);
+    assert.deepStrictEqual(progress.body.progress.students.map(s => [s.username, s.attempts]), [['classstudent', 0]]);
+    assert.strictEqual((await api('GET', `/api/assignments/${assignment.id}`, { token: student })).status, 403);
+
+    const detail = await api('GET', `/api/classes/${cls.id}`, { token: teacher });
+    assert.deepStrictEqual(detail.body.students.map(s => s.username), ['classstudent']);
+    assert.deepStrictEqual(detail.body.assignments.map(a => [a.id, a.completed, a.started]), [[assignment.id, 0, 0]]);
+});
+
+test('removing a student or deleting a class takes their homework away', async () => {
+    const cls = (await api('POST', '/api/classes', { token: teacher, body: { name: '6B', grade: 6 } })).body.class;
+    assert.strictEqual((await api('POST', '/api/classes/join', { token: outsider, body: { code: cls.code } })).status, 200);
+    const assignment = (await api('POST', `/api/classes/${cls.id}/assignments`, {
+        token: teacher, body: { subject: 'Toán', num: 3, dueDate: DUE_DATE }
+    })).body.assignment;
+    assert.deepStrictEqual((await api('GET', '/api/assignments', { token: outsider })).body.assignments.map(a => a.id), [assignment.id]);
+
+    const [member] = (await api('GET', `/api/classes/${cls.id}`, { token: teacher })).body.students;
+    assert.strictEqual((await api('DELETE', `/api/classes/${cls.id}/students/${member.userId}`, { token: teacher })).status, 200);
+    assert.strictEqual((await api('DELETE', `/api/classes/${cls.id}/students/${member.userId}`, { token: teacher })).status, 404);
+    assert.deepStrictEqual((await api('GET', '/api/assignments', { token: outsider })).body.assignments, []);
+    assert.strictEqual((await api('POST', `/api/assignments/${assignment.id}/start`, { token: outsider, body: {} })).status, 403);
+
+    assert.strictEqual((await api('DELETE', `/api/classes/${cls.id}`, { token: otherTeacher })).status, 403);
+    assert.strictEqual((await api('DELETE', `/api/classes/${cls.id}`, { token: teacher })).status, 200);
+    assert.strictEqual((await api('GET', `/api/assignments/${assignment.id}`, { token: teacher })).status, 404);
+});
@@ -0,0 +1,159 @@
+// gameSessions.test.js - Kiểm tra phiên chơi: chấm đáp án, gợi ý và kiểm tra lượt chơi chống gian lận
+const test = require('node:test');
+const assert = require('node:assert');
+const gameSessions = require('../gameSessions');
+
+const QUESTIONS = [
+    { id: 'q1', options: ['A. 1', 'B. 2', 'C. 3', 'D. 4'], answer: 'B' },
+    { id: 'q2', type: 'true_false', options: ['A. Đúng', 'B. Sai'], answer: 'A' },
+    { id: 'q3', type: 'numeric', answer: 12 }
+];
+
+// Easy difficulty at game speed 1: the world scrolls 1px per frame
+const { FRAME_MS, PIPE_SPAWN_DISTANCE, WIDTH, BIRD_X, PIPE_WIDTH } = gameSessions.PHYSICS;
+const SPAWN_MS = PIPE_SPAWN_DISTANCE * FRAME_MS;
+const FIRST_PIPE_MS = (PIPE_SPAWN_DISTANCE + WIDTH - (BIRD_X - PIPE_WIDTH / 2)) * FRAME_MS;
+
+function startGame(options = {}) {
+    const { session } = gameSessions.createSession({
+        userId: 'u1',
+        grade: 6,
+        subject: 'Toán Học',
+        difficulty: 'easy',
+        gameSpeed: 1,
+        questions: QUESTIONS,
+        ...options
+    });
+    return session;
+}
+
+// Pretend the game started `ms` ago, so answers and run logs aren't too fast for the physics
+function playedFor(session, ms) {
+    session.startedAt -= ms;
+    return session;
+}
+
+// A run that flaps every half second and passes `pipes` pipes as fast as the game allows
+function runLog(duration, { pipes = 0, extra = [] } = {}) {
+    const events = [];
+    for (let t = 500; t < duration; t += 500) events.push({ type: 'flap', t });
+    for (let i = 0; i < pipes; i++) events.push({ type: 'pipe', t: Math.ceil(FIRST_PIPE_MS + i * SPAWN_MS) });
+    events.push(...extra);
+    return { duration, events: events.sort((a, b) => a.t - b.t) };
+}
+
+test('checkAnswer grades the answer and returns the correct one', () => {
+    const session = startGame({ mode: 'practice' });
+
+    assert.deepStrictEqual(gameSessions.checkAnswer(session, 'q3', '12,0'), {
+        correct: true, correctAnswer: 12, answer: 12, bonus: 0, timedOut: false, livesLeft: null
+    });
+    const wrong = gameSessions.checkAnswer(session, 'q1', 'c');
+    assert.strictEqual(wrong.correct, false);
+    assert.strictEqual(wrong.answer, 'C');
+    assert.strictEqual(wrong.correctAnswer, 'B');
+});
+
+test('checkAnswer refuses unknown and repeated questions', () => {
+    const session = playedFor(startGame(), 60000);
+
+    assert.strictEqual(gameSessions.checkAnswer(session, 'nope', 'A').status, 400);
+    assert.strictEqual(gameSessions.checkAnswer(session, 'q1', 'B').correct, true);
+    assert.deepStrictEqual(gameSessions.checkAnswer(session, 'q1', 'B'), { error: 'Question already answered', status: 409 });
+});
+
+test('a wrong answer ends a classic game', () => {
+    const session = playedFor(startGame(), 60000);
+
+    assert.strictEqual(gameSessions.checkAnswer(session, 'q1', 'A').livesLeft, 0);
+    assert.strictEqual(session.status, 'over');
+    assert.strictEqual(gameSessions.checkAnswer(session, 'q2', 'A').status, 409);
+});
+
+test('answers slower than the countdown or missing are timed out', () => {
+    const session = playedFor(startGame({ mode: 'endless', questionTimer: true }), 60000);
+
+    const late = gameSessions.checkAnswer(session, 'q1', 'B', 25000);
+    assert.strictEqual(late.correct, false);
+    assert.strictEqual(late.timedOut, true);
+    assert.strictEqual(gameSessions.checkAnswer(session, 'q2', null).timedOut, true);
+
+    const fast = gameSessions.checkAnswer(session, 'q3', 12, 0);
+    assert.strictEqual(fast.correct, true);
+    assert.ok(fast.bonus > 0);
+});
+
+test('answering before the pipes allow flags the game', () => {
+    const session = startGame();
+
+    gameSessions.checkAnswer(session, 'q1', 'B');
+    assert.deepStrictEqual(session.flags, ['Question 1 answered too early']);
+    assert.ok(gameSessions.validateRun(session, runLog(0)).reasons.includes('Question 1 answered too early'));
+});
+
+test('useHint disables two wrong options once per question', () => {
+    const session = startGame();
+
+    const { hint } = gameSessions.useHint(session, 'q1');
+    assert.strictEqual(hint.disabled.length, 2);
+    assert.ok(!hint.disabled.includes('B'));
+    assert.strictEqual(gameSessions.useHint(session, 'q1').status, 409);
+    assert.strictEqual(gameSessions.useHint(session, 'q3').hint.range.length, 2);
+});
+
+test('useHint refuses questions without hints and exam games', () => {
+    assert.strictEqual(gameSessions.useHint(startGame(), 'q2').status, 400);
+    assert.strictEqual(gameSessions.useHint(startGame(), 'nope').status, 400);
+    assert.deepStrictEqual(gameSessions.useHint(startGame({ mode: 'exam' }), 'q1'), {
+        error: 'Hints are disabled in this game mode', status: 400
+    });
+});
+
+test('validateRun recounts the score of a plausible run', () => {
+    const session = playedFor(startGame({ mode: 'lives' }), 60000);
+    gameSessions.checkAnswer(session, 'q1', 'B');
+    gameSessions.checkAnswer(session, 'q2', 'B');
+
+    const questionAt = Math.ceil(FIRST_PIPE_MS + 5 * SPAWN_MS);
+    const log = runLog(50000, {
+        pipes: 10,
+        extra: [{ type: 'question', t: questionAt, questionId: 'q1' }, { type: 'question', t: questionAt + 20000, questionId: 'q2' }]
+    });
+
+    // 10 pipes at 1 point and one correct answer at 5
+    assert.deepStrictEqual(gameSessions.validateRun(session, log), { score: 15, pipes: 10, correctAnswers: 1, reasons: [] });
+});
+
+test('validateRun rejects runs the physics do not allow', () => {
+    const session = playedFor(startGame(), 60000);
+    const reasonsFor = (log, s = session) => gameSessions.validateRun(s, log).reasons;
+
+    assert.deepStrictEqual(reasonsFor(null), ['Missing or malformed run log']);
+    assert.deepStrictEqual(reasonsFor({ duration: 1000, events: [{ type: 'flap', t: 900 }, { type: 'flap', t: 500 }] }),
+        ['Run log events are out of order or malformed']);
+    assert.ok(reasonsFor(runLog(5 * 60000)).includes('Run is longer than the time since the game started'));
+    assert.ok(reasonsFor({ duration: 5000, events: [] }).includes('Bird stayed in the air too long without flapping'));
+    assert.ok(reasonsFor(runLog(10000, { extra: [{ type: 'pipe', t: 1000 }] })).includes('First pipe passed too early'));
+
+    const crowded = runLog(20000, { pipes: 1, extra: [{ type: 'pipe', t: Math.ceil(FIRST_PIPE_MS + SPAWN_MS / 2) }] });
+    assert.ok(reasonsFor(crowded).includes('Pipe 2 passed too soon after the previous one'));
+
+    const practice = playedFor(startGame({ mode: 'practice' }), 60000);
+    assert.ok(reasonsFor(runLog(20000, { pipes: 1 }), practice).includes('Practice games have no pipes'));
+});
+
+test('validateRun checks power-ups, shields and answered questions against the log', () => {
+    const session = playedFor(startGame({ mode: 'endless' }), 60000);
+    gameSessions.checkAnswer(session, 'q1', 'B');
+    const reasons = extra => gameSessions.validateRun(session, runLog(30000, { extra })).reasons;
+
+    assert.ok(reasons([]).includes('Answered question missing from the run log'));
+    assert.ok(reasons([{ type: 'question', t: 1000, questionId: 'q1' }]).includes('Question 1 appeared too early'));
+    assert.ok(reasons([{ type: 'powerup', t: 1000, kind: 'rocket', source: 'pickup' }]).includes('Unknown power-up in the run log'));
+    assert.ok(reasons([{ type: 'powerup', t: 1000, kind: 'slow', source: 'streak' }]).includes('More streak power-ups than correct answer streaks'));
+    assert.ok(reasons([{ type: 'shield', t: 1000 }]).includes('Shield used without a shield power-up'));
+    assert.ok(reasons([
+        { type: 'powerup', t: 1000, kind: 'shield', source: 'pickup' },
+        { type: 'powerup', t: 2000, kind: 'slow', source: 'pickup' }
+    ]).includes('Power-ups picked up too close together'));
+});
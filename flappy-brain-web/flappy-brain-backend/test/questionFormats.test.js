@@ -0,0 +1,72 @@
+// questionFormats.test.js - Kiểm tra nhập/xuất bộ câu hỏi CSV, JSON, GIFT và Aiken
+const test = require('node:test');
+const assert = require('node:assert');
+const questionFormats = require('../questionFormats');
+
+// Commas, quotes and GIFT control characters in the texts
+const QUESTIONS = [
+    { grade: 6, subject: 'Toán', text: '1 + 1 = ?, "hai"', options: ['A. 1', 'B. 2', 'C. 3', 'D. 4'], answer: 'B' },
+    { grade: 7, subject: 'Văn', text: 'Câu {x}: a = b', options: ['A. a', 'B. b=c', 'C. c~', 'D. d#'], answer: 'D' }
+];
+
+const stripLetter = option => option.replace(/^[A-D][.)]\s+/, '');
+
+for (const format of Object.keys(questionFormats.FORMATS)) {
+    test(`${format} export can be imported again`, () => {
+        const { items, errors } = questionFormats.parse(format, questionFormats.serialize(format, QUESTIONS));
+
+        assert.deepStrictEqual(errors, []);
+        assert.strictEqual(items.length, QUESTIONS.length);
+        items.forEach((item, index) => {
+            const expected = QUESTIONS[index];
+            assert.strictEqual(item.row, index + 1);
+            assert.strictEqual(item.question.text, expected.text);
+            assert.strictEqual(item.question.answer, expected.answer);
+            assert.deepStrictEqual(item.question.options.map(stripLetter), expected.options.map(stripLetter));
+        });
+    });
+}
+
+test('csv export starts with a BOM and the header row', () => {
+    const csv = questionFormats.serialize('csv', QUESTIONS);
+    assert.ok(csv.startsWith('\uFEFFgrade,subject,text,optionA,optionB,optionC,optionD,answer\r\n'));
+});
+
+test('aiken export writes each option letter once', () => {
+    const aiken = questionFormats.serialize('aiken', QUESTIONS.slice(0, 1));
+    assert.strictEqual(aiken, '1 + 1 = ?, "hai"\nA. 1\nB. 2\nC. 3\nD. 4\nANSWER: B\n');
+});
+
+test('gift export keeps the subject as category', () => {
+    const { items } = questionFormats.parse('gift', questionFormats.serialize('gift', QUESTIONS));
+    assert.deepStrictEqual(items.map(i => i.question.subject), ['Toán', 'Văn']);
+});
+
+test('json keeps every question type', () => {
+    const numeric = { grade: 8, subject: 'Toán', text: 'Pi ≈ ?', type: 'numeric', answer: 3.14, tolerance: 0.01 };
+    const { items, errors } = questionFormats.parse('json', questionFormats.serialize('json', [numeric]));
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(items[0].question.type, 'numeric');
+    assert.strictEqual(items[0].question.answer, 3.14);
+    assert.strictEqual(items[0].question.tolerance, 0.01);
+    assert.strictEqual(questionFormats.supportsType('json', 'numeric'), true);
+    assert.strictEqual(questionFormats.supportsType('csv', 'numeric'), false);
+});
+
+test('broken records are reported with their position', () => {
+    const aiken = questionFormats.parse('aiken', 'Câu 1\nA. x\nB. y\nANSWER: A\n\nCâu 2\nA. x\nB. y\n');
+    assert.strictEqual(aiken.items.length, 1);
+    assert.strictEqual(aiken.errors.length, 1);
+    assert.strictEqual(aiken.errors[0].row, 2);
+    assert.strictEqual(aiken.errors[0].line, 6);
+
+    const json = questionFormats.parse('json', '{ not json');
+    assert.strictEqual(json.items.length, 0);
+    assert.ok(json.errors.length > 0);
+});
+
+test('unknown formats throw', () => {
+    assert.throws(() => questionFormats.parse('xml', ''));
+    assert.throws(() => questionFormats.serialize('xml', []));
+});
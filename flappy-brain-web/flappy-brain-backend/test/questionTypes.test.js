@@ -0,0 +1,74 @@
+// questionTypes.test.js - Kiểm tra các dạng câu hỏi: kiểm tra dữ liệu và chấm đáp án
+const test = require('node:test');
+const assert = require('node:assert');
+const questionTypes = require('../questionTypes');
+
+const OPTIONS = ['A. 1', 'B. 2', 'C. 3', 'D. 4'];
+
+test('validate accepts one question of every type', () => {
+    const questions = [
+        { options: OPTIONS, answer: 'B' },
+        { type: 'choice', options: OPTIONS, answer: 'D' },
+        { type: 'true_false', options: ['A. Đúng', 'B. Sai'], answer: 'A' },
+        { type: 'multi_select', options: OPTIONS, answer: 'AC' },
+        { type: 'numeric', answer: 2.5, tolerance: 0.1 },
+        { type: 'short_text', answer: 'Hà Nội', accepted: ['Ha Noi'] },
+        { type: 'ordering', options: ['A. x', 'B. y', 'C. z'], answer: 'CAB' }
+    ];
+    for (const q of questions) {
+        assert.strictEqual(questionTypes.validate(q), null, JSON.stringify(q));
+    }
+});
+
+test('validate rejects answers that do not fit the type', () => {
+    const questions = [
+        { type: 'essay', answer: 'x' },
+        { options: OPTIONS.slice(0, 3), answer: 'A' },
+        { options: OPTIONS, answer: 'E' },
+        { type: 'true_false', options: OPTIONS, answer: 'A' },
+        { type: 'multi_select', options: OPTIONS, answer: 'ABCD' },
+        { type: 'multi_select', options: OPTIONS, answer: 'AE' },
+        { type: 'numeric', answer: '2' },
+        { type: 'numeric', answer: 2, tolerance: -1 },
+        { type: 'numeric', options: OPTIONS, answer: 2 },
+        { type: 'short_text', answer: '  ' },
+        { type: 'short_text', answer: 'x', accepted: ['y', ''] },
+        { type: 'ordering', options: ['A. x', 'B. y', 'C. z'], answer: 'CAA' }
+    ];
+    for (const q of questions) {
+        assert.strictEqual(typeof questionTypes.validate(q), 'string', JSON.stringify(q));
+    }
+});
+
+test('isCorrect grades letter answers in any case and order', () => {
+    assert.strictEqual(questionTypes.isCorrect({ answer: 'B' }, 'b'), true);
+    assert.strictEqual(questionTypes.isCorrect({ answer: 'B' }, 'C'), false);
+    assert.strictEqual(questionTypes.isCorrect({ type: 'multi_select', answer: 'AC' }, ['C', 'a']), true);
+    assert.strictEqual(questionTypes.isCorrect({ type: 'multi_select', answer: 'AC' }, 'A'), false);
+    // Order matters for ordering questions only
+    assert.strictEqual(questionTypes.isCorrect({ type: 'ordering', answer: 'CAB' }, 'c, a, b'), true);
+    assert.strictEqual(questionTypes.isCorrect({ type: 'ordering', answer: 'CAB' }, 'ABC'), false);
+});
+
+test('isCorrect accepts numbers within the tolerance, with a decimal comma', () => {
+    const key = { type: 'numeric', answer: 2.5, tolerance: 0.1 };
+    assert.strictEqual(questionTypes.isCorrect(key, '2,5'), true);
+    assert.strictEqual(questionTypes.isCorrect(key, 2.6), true);
+    assert.strictEqual(questionTypes.isCorrect(key, '2.7'), false);
+    assert.strictEqual(questionTypes.isCorrect(key, 'hai'), false);
+    assert.strictEqual(questionTypes.isCorrect({ type: 'numeric', answer: 0.3 }, 0.1 + 0.2), true);
+});
+
+test('isCorrect ignores case, spacing and punctuation in text answers, but not accents', () => {
+    const key = { type: 'short_text', answer: 'Hà Nội', accepted: ['Thủ đô Hà Nội'] };
+    assert.strictEqual(questionTypes.isCorrect(key, '  hà   nội. '), true);
+    assert.strictEqual(questionTypes.isCorrect(key, 'THỦ ĐÔ HÀ NỘI'), true);
+    assert.strictEqual(questionTypes.isCorrect(key, 'Ha Noi'), false);
+});
+
+test('a missing answer is never correct', () => {
+    for (const key of [{ answer: 'A' }, { type: 'numeric', answer: 0 }, { type: 'short_text', answer: 'x' }]) {
+        assert.strictEqual(questionTypes.isCorrect(key, null), false);
+        assert.strictEqual(questionTypes.isCorrect(key, undefined), false);
+    }
+});
@@ -0,0 +1,174 @@
+// questions.test.js - Kiểm tra các route ngân hàng câu hỏi: nhập/xuất file và tạo câu hỏi nhiều dạng
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const questionFormats = require('../questionFormats');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = 40000 + Math.floor(Math.random() * 1000);
+const BASE = `http://localhost:${PORT}`;
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-brain-questions-'));
+const TEACHER_CODE = 'test-teacher-code';
+
+let server;
+let teacher;
+let student;
+
+async function waitForServer() {
+    for (let i = 0; i < 50; i++) {
+        try {
+            const res = await fetch(`${BASE}/api/health`);
+            if (res.ok) return;
+        } catch (error) {
+            // not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Server did not start');
+}
+
+async function api(method, url, { token, body } = {}) {
+    const res = await fetch(`${BASE}${url}`, {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    // Exports are files: `text` is the raw download, `body` the parsed JSON of API responses
+    const text = await res.text();
+    const isJSON = (res.headers.get('content-type') || '').includes('json') && !res.headers.has('content-disposition');
+    return { status: res.status, headers: res.headers, text: text, body: isJSON ? JSON.parse(text) : null };
+}
+
+async function register(username, extra = {}) {
+    const res = await api('POST', '/api/auth/register', {
+        body: { username, password: 'secret123', birthDate: '2010-01-01', gender: 'female', ...extra }
+    });
+    assert.strictEqual(res.status, 201);
+    return res.body.token;
+}
+
+function csvRow(grade, text, answer = 'A') {
+    return `${grade},Toán,${text},1,2,3,4,${answer}`;
+}
+
+test.before(async () => {
+    server = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: { ...process.env, PORT: String(PORT), DATA_DIR: DATA_DIR, TEACHER_CODE: TEACHER_CODE, LLM_PROVIDER: 'offline' },
+        stdio: 'ignore'
+    });
+    await waitForServer();
+
+    teacher = await register('questionteacher', { teacherCode: TEACHER_CODE });
+    student = await register('questionstudent');
+});
+
+test.after(() => {
+    if (server) server.kill();
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+test('students cannot import or export questions', async () => {
+    const imported = await api('POST', '/api/questions/import', { token: student, body: { format: 'csv', content: csvRow(6, 'x') } });
+    assert.strictEqual(imported.status, 403);
+    assert.strictEqual((await api('GET', '/api/questions/export', { token: student })).status, 403);
+});
+
+test('a dry run reports valid and invalid rows without saving them', async () => {
+    const content = ['grade,subject,text,optionA,optionB,optionC,optionD,answer', csvRow(6, 'Thử 1 + 1'), csvRow(6, 'Sai đáp án', 'E')].join('\n');
+    const res = await api('POST', '/api/questions/import', { token: teacher, body: { format: 'csv', content, dryRun: true } });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.dryRun, true);
+    assert.strictEqual(res.body.valid, 1);
+    assert.strictEqual(res.body.imported, 0);
+    assert.deepStrictEqual(res.body.errors.map(e => e.row), [2]);
+
+    const list = await api('GET', '/api/questions?search=Thử', { token: teacher });
+    assert.strictEqual(list.body.total, 0);
+});
+
+test('imported questions are saved once and can be exported again', async () => {
+    const content = [
+        'grade,subject,text,optionA,optionB,optionC,optionD,answer',
+        csvRow(7, 'Nhập 1'),
+        csvRow(7, 'Nhập 2', 'C'),
+        csvRow(7, 'Nhập 2', 'C')
+    ].join('\n');
+
+    const res = await api('POST', '/api/questions/import', { token: teacher, body: { format: 'csv', content } });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.imported, 2);
+    assert.strictEqual(res.body.duplicates.length, 1);
+    assert.ok(res.body.questions.every(q => q.status === 'approved' && q.grade === 7));
+
+    const again = await api('POST', '/api/questions/import', { token: teacher, body: { format: 'csv', content } });
+    assert.strictEqual(again.body.imported, 0);
+    assert.strictEqual(again.body.duplicates.length, 3);
+
+    for (const format of Object.keys(questionFormats.FORMATS)) {
+        const exported = await api('GET', `/api/questions/export?format=${format}&grade=7`, { token: teacher });
+        assert.strictEqual(exported.status, 200, format);
+        assert.match(exported.headers.get('content-disposition'), /flappy-brain-questions-grade7\./);
+
+        const { items, errors } = questionFormats.parse(format, exported.text);
+        assert.deepStrictEqual(errors, [], format);
+        assert.deepStrictEqual(items.map(i => i.question.text).sort(), ['Nhập 1', 'Nhập 2'], format);
+    }
+});
+
+test('a file without valid rows is rejected', async () => {
+    const res = await api('POST', '/api/questions/import', { token: teacher, body: { format: 'aiken', content: 'Câu hỏi\nA. x\nB. y' } });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.errors.length, 1);
+
+    const unknown = await api('POST', '/api/questions/import', { token: teacher, body: { format: 'xml', content: '<q/>' } });
+    assert.strictEqual(unknown.status, 400);
+});
+
+test('teachers can create questions of every type', async () => {
+    const questions = [
+        { type: 'true_false', options: ['A. Đúng', 'B. Sai'], answer: 'b' },
+        { type: 'multi_select', options: ['A. 2', 'B. 3', 'C. 4', 'D. 5'], answer: 'c, a' },
+        { type: 'numeric', answer: '2,5', tolerance: 0.1 },
+        { type: 'short_text', answer: 'Hà Nội', accepted: ['Ha Noi'] },
+        { type: 'ordering', options: ['A. 3', 'B. 1', 'C. 2'], answer: 'BCA' }
+    ];
+
+    for (const [index, question] of questions.entries()) {
+        const res = await api('POST', '/api/questions', {
+            token: teacher,
+            body: { grade: '8', subject: 'Toán', text: `Dạng ${question.type} ${index}`, ...question }
+        });
+        assert.strictEqual(res.status, 201, question.type);
+        assert.strictEqual(res.body.question.type, question.type);
+        assert.strictEqual(res.body.question.grade, 8);
+    }
+
+    // Answers are stored in their canonical form
+    const list = await api('GET', '/api/questions?grade=8&limit=10', { token: teacher });
+    const byType = Object.fromEntries(list.body.questions.map(q => [q.type, q.answer]));
+    assert.deepStrictEqual(byType, { true_false: 'B', multi_select: 'AC', numeric: 2.5, short_text: 'Hà Nội', ordering: 'BCA' });
+
+    // CSV only describes multiple choice questions; the rest are counted as skipped
+    const csv = await api('GET', '/api/questions/export?format=csv&grade=8', { token: teacher });
+    assert.strictEqual(csv.headers.get('x-skipped-questions'), '5');
+});
+
+test('questions that do not fit their type are rejected', async () => {
+    const invalid = [
+        { grade: 8, subject: 'Toán', text: 'Số?', type: 'numeric', answer: 'hai' },
+        { grade: 8, subject: 'Toán', text: 'Chọn?', type: 'multi_select', options: ['A. 1', 'B. 2', 'C. 3'], answer: 'ABC' },
+        { grade: 'tám', subject: 'Toán', text: 'Lớp?', options: ['A. 1', 'B. 2', 'C. 3', 'D. 4'], answer: 'A' }
+    ];
+    for (const body of invalid) {
+        const res = await api('POST', '/api/questions', { token: teacher, body });
+        assert.strictEqual(res.status, 400, body.text);
+    }
+});
@@ -0,0 +1,95 @@
+// static.test.js - Kiểm tra file tĩnh: cơ sở dữ liệu (mật khẩu, đáp án) không bao giờ tải được qua web
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = 39000 + Math.floor(Math.random() * 1000);
+const BASE = `http://localhost:${PORT}`;
+
+// DATA_DIR inside the served folder, the worst case for a misconfigured server
+const DATA_NAME = `data-test-${process.pid}`;
+const DATA_DIR = path.join(ROOT, DATA_NAME);
+const LEGACY_FILE = path.join(ROOT, 'data', 'db.json');
+
+let server;
+let createdLegacy = false;
+let createdLegacyDir = false;
+
+async function waitForServer() {
+    for (let i = 0; i < 50; i++) {
+        try {
+            const res = await fetch(`${BASE}/api/health`);
+            if (res.ok) return;
+        } catch (error) {
+            // not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Server did not start');
+}
+
+test.before(async () => {
+    // An old database left in the web root must not be served either (only created when there is none)
+    if (!fs.existsSync(LEGACY_FILE)) {
+        createdLegacyDir = !fs.existsSync(path.dirname(LEGACY_FILE));
+        fs.mkdirSync(path.dirname(LEGACY_FILE), { recursive: true });
+        fs.writeFileSync(LEGACY_FILE, '{}');
+        createdLegacy = true;
+    }
+
+    server = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: { ...process.env, PORT: String(PORT), DATA_DIR: DATA_DIR },
+        stdio: 'ignore'
+    });
+    await waitForServer();
+
+    // Registering writes db.json into DATA_DIR
+    const res = await fetch(`${BASE}/api/auth/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'statictest', password: 'secret123', birthDate: '2010-01-01', gender: 'male' })
+    });
+    assert.strictEqual(res.status, 201);
+    assert.ok(fs.existsSync(path.join(DATA_DIR, 'db.json')));
+});
+
+test.after(() => {
+    if (server) server.kill();
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+    if (createdLegacy) fs.rmSync(LEGACY_FILE, { force: true });
+    if (createdLegacyDir) fs.rmSync(path.dirname(LEGACY_FILE), { recursive: true, force: true });
+});
+
+test('/data/db.json returns 404', async () => {
+    const res = await fetch(`${BASE}/data/db.json`);
+    assert.strictEqual(res.status, 404);
+});
+
+test('the configured DATA_DIR is not served', async () => {
+    for (const url of [`/${DATA_NAME}/db.json`, `/${DATA_NAME}/`, `/%64ata/db.json`, `/./${DATA_NAME}/db.json`]) {
+        const res = await fetch(`${BASE}${url}`);
+        assert.strictEqual(res.status, 404, url);
+    }
+});
+
+test('the game page is still served', async () => {
+    const res = await fetch(`${BASE}/index.html`);
+    assert.strictEqual(res.status, 200);
+});
+
+// cache.addAll in sw.js fails as a whole when one file is missing, and the game then has no offline copy
+test('every file the service worker caches is served', async () => {
+    const source = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+    const { APP_FILES, VENDOR_FILES } = vm.runInNewContext(`${source}\n({ APP_FILES, VENDOR_FILES })`, {
+        self: { addEventListener() {}, location: { origin: BASE } }
+    });
+    for (const url of [...APP_FILES, ...VENDOR_FILES]) {
+        const res = await fetch(`${BASE}${url}`);
+        assert.strictEqual(res.status, 200, url);
+    }
+});